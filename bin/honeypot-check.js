@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// honeypot-check <address> - run the analysis engine from a terminal or CI job.
+// Exit codes: 0 below the risk threshold, 1 at or above it, 2 when the scan could not run,
+// 3 when a replayed scan's verdict differs from the recorded one.
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    analyzeToken,
+    SCORING_PROFILES,
+    DEFAULT_PROFILE,
+    parseScoringProfile,
+    FailoverProvider,
+    CHAINS,
+    DEFAULT_CHAIN,
+    getChain,
+    formatReportMarkdown,
+    formatReportHtml,
+    parseFingerprintDatabase,
+    parseAbi,
+    RecordingProvider,
+    ReplayProvider,
+    parseFixture,
+    diffScans
+} from '../src/node.js';
+
+const USAGE = `Usage: honeypot-check <address> [options]
+       honeypot-check --replay <file> [options]
+
+Options:
+  --chain <name>           ${Object.keys(CHAINS).join(', ')} (default: ${DEFAULT_CHAIN})
+  --rpc <url>              JSON-RPC endpoint; repeat to fail over between several
+                           (default: the chain's public endpoints)
+  --profile <name|file>    ${Object.keys(SCORING_PROFILES).join(', ')} or a JSON profile file (default: ${DEFAULT_PROFILE})
+  --threshold <score>      exit with code 1 at or above this risk score
+                           (default: the profile's high-risk threshold)
+  --format <format>        json, table, markdown or html (default: json)
+  --fingerprints <file>    JSON file of labeled templates to match the bytecode against,
+                           on top of the bundled ones
+  --abi <file>             the token's ABI (JSON array or compiler artifact); its getters
+                           are read and it replaces the built-in ERC20 ABI
+  --source <file>          the token's Solidity source, reviewed offline for honeypot patterns
+  --swap-blocks <number>   how many recent blocks of swaps to classify (default: the last 24 hours)
+  --record <file>          save every RPC request and response of the scan, pinned to one
+                           block, as a fixture file
+  --block <number>         block to pin a recording to (default: the latest block)
+  --replay <file>          re-run a recorded scan from its fixture with no network and compare
+                           the verdict with the recorded one (pass the same --abi, --source
+                           and --swap-blocks)
+  -h, --help               show this help`;
+
+const EXIT_OK = 0;
+const EXIT_RISKY = 1;
+const EXIT_ERROR = 2;
+const EXIT_CHANGED = 3;
+
+const FORMATS = ['json', 'table', 'markdown', 'html'];
+
+// Load a built-in profile by name, or a JSON profile from disk
+async function loadProfile(nameOrFile) {
+    if (SCORING_PROFILES[nameOrFile]) {
+        return SCORING_PROFILES[nameOrFile];
+    }
+    const json = await readFile(nameOrFile, 'utf8').catch(() => {
+        throw new Error(`Unknown profile "${nameOrFile}" (not a built-in profile or a readable file)`);
+    });
+    return parseScoringProfile(json);
+}
+
+// Load the user's template database from disk
+async function loadFingerprints(file) {
+    const json = await readFile(file, 'utf8').catch(error => {
+        throw new Error(`Cannot read template database "${file}": ${error.message}`);
+    });
+    return parseFingerprintDatabase(json);
+}
+
+// Read a file given with --abi or --source, naming the option when it can't be read
+function readInput(option, file) {
+    return readFile(file, 'utf8').catch(error => {
+        throw new Error(`Cannot read --${option} file "${file}": ${error.message}`);
+    });
+}
+
+// Load a fixture written by --record
+async function loadRecording(file) {
+    const json = await readInput('replay', file);
+    const recording = parseFixture(json);
+    if (!recording.report) {
+        throw new Error(`Recording "${file}" has no recorded report to compare with`);
+    }
+    return recording;
+}
+
+// Pad table cells to the widest value in each column
+function formatColumns(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
+}
+
+// Human-readable report
+function formatTable(results, threshold, provider) {
+    const { tokenInfo } = results;
+    const endpoint = provider.getActiveEndpoint();
+    const lines = [];
+
+    lines.push(...formatColumns([
+        ['Token', tokenInfo.name ? `${tokenInfo.name} (${tokenInfo.symbol})` : 'Unknown'],
+        ['Address', results.address],
+        ['Chain', `${results.chain.name} (${results.chain.chainId})`],
+        ['Block', results.blockNumber],
+        ['Profile', results.profile.label],
+        ['RPC', endpoint ? `${endpoint.url} (${endpoint.latency} ms, ${provider.failovers} failovers)` : results.rpc || '-'],
+        ['Risk', `${results.riskLevel.label} - score ${results.riskScore} (fails at ${threshold})`]
+    ]));
+
+    lines.push('', ...formatColumns([
+        ['CHECK', 'CATEGORY', 'RAW', 'WEIGHT', 'POINTS'],
+        ...results.contributions.map(contribution => [
+            contribution.name,
+            contribution.category,
+            contribution.rawScore,
+            `x${contribution.weight}`,
+            contribution.status === 'ok' ? contribution.points : contribution.status
+        ])
+    ]));
+
+    lines.push('', 'FINDINGS');
+    results.checks.forEach(check => {
+        lines.push(`  [${check.type}] ${check.title} - ${check.description}`);
+        (check.details || []).forEach(detail => lines.push(`      ${detail}`));
+    });
+
+    return lines.join('\n');
+}
+
+function findChainById(chainId) {
+    const chain = Object.values(CHAINS).find(entry => entry.chainId === chainId);
+    if (!chain) {
+        throw new Error(`Recording is from chain ${chainId}, which is not supported`);
+    }
+    return chain;
+}
+
+// Live endpoints, live endpoints with every request recorded, or a recording
+function createProvider(options, chain, recording) {
+    if (recording) {
+        return new ReplayProvider(recording);
+    }
+    const urls = options.rpc || chain.rpcUrls;
+    if (options.record) {
+        const blockNumber = options.block === undefined ? null : Number(options.block);
+        if (blockNumber !== null && !Number.isInteger(blockNumber)) {
+            throw new Error(`Invalid block "${options.block}"`);
+        }
+        return new RecordingProvider(urls, chain.chainId, { blockNumber });
+    }
+    return new FailoverProvider(urls, chain.chainId);
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                chain: { type: 'string', default: DEFAULT_CHAIN },
+                rpc: { type: 'string', multiple: true },
+                profile: { type: 'string', default: DEFAULT_PROFILE },
+                threshold: { type: 'string' },
+                format: { type: 'string', default: 'json' },
+                fingerprints: { type: 'string' },
+                abi: { type: 'string' },
+                source: { type: 'string' },
+                'swap-blocks': { type: 'string' },
+                record: { type: 'string' },
+                block: { type: 'string' },
+                replay: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    const { values: options, positionals } = parsed;
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (positionals.length !== (options.replay ? 0 : 1)) {
+        console.error(USAGE);
+        return EXIT_ERROR;
+    }
+    if (options.replay && (options.record || options.block || options.rpc)) {
+        console.error('--replay runs without the network; it can\'t be combined with --record, --block or --rpc');
+        return EXIT_ERROR;
+    }
+    if (options.block && !options.record) {
+        console.error('--block pins a recording; use it with --record');
+        return EXIT_ERROR;
+    }
+    if (!FORMATS.includes(options.format)) {
+        console.error(`Unknown format "${options.format}" - use ${FORMATS.join(', ')}`);
+        return EXIT_ERROR;
+    }
+
+    try {
+        // A replay runs on the recording's chain, against the recorded token
+        const recording = options.replay ? await loadRecording(options.replay) : null;
+        const chain = recording ? findChainById(recording.chainId) : getChain(options.chain);
+        const address = recording ? recording.report.address : positionals[0];
+        const profile = await loadProfile(options.profile);
+        const threshold = options.threshold === undefined ? profile.thresholds.danger : Number(options.threshold);
+        if (!Number.isFinite(threshold)) {
+            throw new Error(`Invalid threshold "${options.threshold}"`);
+        }
+
+        const fingerprints = options.fingerprints ? await loadFingerprints(options.fingerprints) : [];
+        const abi = options.abi ? parseAbi(await readInput('abi', options.abi)) : null;
+        const source = options.source ? await readInput('source', options.source) : null;
+        const swapBlocks = options['swap-blocks'] === undefined ? null : Number(options['swap-blocks']);
+        if (swapBlocks !== null && !(Number.isInteger(swapBlocks) && swapBlocks > 0)) {
+            throw new Error(`Invalid swap block count "${options['swap-blocks']}"`);
+        }
+
+        const provider = createProvider(options, chain, recording);
+        const results = await analyzeToken(address, {
+            provider,
+            chain,
+            profile,
+            fingerprints,
+            abi,
+            source,
+            swapBlocks,
+            onProgress: process.stderr.isTTY
+                ? ({ message, completed, total }) => process.stderr.write(`\r\x1b[K[${completed}/${total}] ${message}`)
+                : undefined
+        });
+        if (process.stderr.isTTY) {
+            process.stderr.write('\r\x1b[K');
+        }
+
+        const output = {
+            json: () => JSON.stringify(results, null, 2),
+            table: () => formatTable(results, threshold, provider),
+            markdown: () => formatReportMarkdown(results),
+            html: () => formatReportHtml(results)
+        };
+        console.log(output[options.format]());
+
+        if (options.record) {
+            const fixture = { ...await provider.toFixture(), report: results };
+            await writeFile(options.record, JSON.stringify(fixture, null, 2));
+            console.error(`Recorded ${fixture.requests.length} requests at block ${fixture.blockNumber} to ${options.record}`);
+        }
+        if (recording) {
+            const changes = diffScans(recording.report, results);
+            if (changes.length > 0) {
+                console.error(`Verdict changed since the recording:\n${changes.map(change => `  [${change.type}] ${change.title} - ${change.description}`).join('\n')}`);
+                return EXIT_CHANGED;
+            }
+            console.error(`Verdict unchanged: ${results.riskLevel.label}, score ${results.riskScore}`);
+        }
+
+        return results.riskScore >= threshold ? EXIT_RISKY : EXIT_OK;
+    } catch (error) {
+        console.error(`honeypot-check: ${error.message}`);
+        return EXIT_ERROR;
+    }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IERC20Minimal {
+    function balanceOf(address account) external view returns (uint256);
+    function totalSupply() external view returns (uint256);
+}
+
+interface IUniswapV2Router {
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory);
+}
+
+/// @notice Buy -> transfer -> sell round trip used by the honeypot checker.
+/// @dev Never deployed. The checker places this runtime code at a synthetic address with an
+/// `eth_call` state override, funds it by overriding balance storage slots and calls
+/// `roundTrip` - repeated under block overrides to move it in time - and `consecutiveTrades`.
+/// For `privilegedCall` the code is placed at the token owner's address instead, so the token
+/// sees the owner as the caller.
+/// Every external interaction is a low-level call so a reverting leg is
+/// recorded instead of aborting the whole simulation.
+/// Compiled with solc 0.8.24, optimizer enabled (200 runs); the runtime bytecode is embedded
+/// in src/simulation.js as SIMULATOR_BYTECODE.
+contract HoneypotSimulator {
+    struct Leg {
+        bool ok;
+        uint256 expected;
+        uint256 received;
+        uint256 gasUsed;
+        bytes error;
+    }
+
+    function roundTrip(address router, address token, address quote, uint256 amountIn, address receiver)
+        external
+        returns (Leg memory buy, Leg memory transferLeg, Leg memory sell)
+    {
+        buy = _swap(router, quote, token, amountIn);
+        transferLeg = _transfer(token, receiver, _balanceOf(token, address(this)) / 10);
+        sell = _swap(router, token, quote, _balanceOf(token, address(this)));
+    }
+
+    /// @notice Two buys then two sells by the same wallet, back to back in one block, to expose
+    /// cooldowns and one-trade-per-block limits that a single round trip never hits
+    function consecutiveTrades(address router, address token, address quote, uint256 amountIn)
+        external
+        returns (Leg memory firstBuy, Leg memory secondBuy, Leg memory firstSell, Leg memory secondSell)
+    {
+        firstBuy = _swap(router, quote, token, amountIn / 2);
+        secondBuy = _swap(router, quote, token, amountIn / 2);
+        firstSell = _swap(router, token, quote, _balanceOf(token, address(this)) / 2);
+        secondSell = _swap(router, token, quote, _balanceOf(token, address(this)));
+    }
+
+    /// @notice Send `data` to `token` from this address and measure what it did to the supply
+    /// and to `holder`'s balance
+    function privilegedCall(address token, bytes calldata data, address holder)
+        external
+        returns (
+            bool ok,
+            bytes memory error,
+            uint256 supplyBefore,
+            uint256 supplyAfter,
+            uint256 balanceBefore,
+            uint256 balanceAfter
+        )
+    {
+        supplyBefore = _totalSupply(token);
+        balanceBefore = _balanceOf(token, holder);
+        bytes memory result;
+        (ok, result) = token.call(data);
+        if (!ok) error = result;
+        supplyAfter = _totalSupply(token);
+        balanceAfter = _balanceOf(token, holder);
+    }
+
+    function _swap(address router, address tokenIn, address tokenOut, uint256 amountIn)
+        internal
+        returns (Leg memory leg)
+    {
+        if (amountIn == 0) return leg;
+
+        address[] memory path = new address[](2);
+        path[0] = tokenIn;
+        path[1] = tokenOut;
+
+        try IUniswapV2Router(router).getAmountsOut(amountIn, path) returns (uint256[] memory amounts) {
+            leg.expected = amounts[1];
+        } catch (bytes memory err) {
+            leg.error = err;
+            return leg;
+        }
+
+        (bool approved, bytes memory approveError) =
+            tokenIn.call(abi.encodeWithSignature("approve(address,uint256)", router, amountIn));
+        if (!approved) {
+            leg.error = approveError;
+            return leg;
+        }
+
+        uint256 balanceBefore = _balanceOf(tokenOut, address(this));
+        uint256 gasBefore = gasleft();
+        (bool ok, bytes memory result) = router.call(
+            abi.encodeWithSignature(
+                "swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)",
+                amountIn,
+                0,
+                path,
+                address(this),
+                block.timestamp
+            )
+        );
+        leg.gasUsed = gasBefore - gasleft();
+        if (!ok) {
+            leg.error = result;
+            return leg;
+        }
+
+        leg.ok = true;
+        leg.received = _delta(balanceBefore, _balanceOf(tokenOut, address(this)));
+    }
+
+    function _transfer(address token, address receiver, uint256 amount) internal returns (Leg memory leg) {
+        if (amount == 0) return leg;
+        leg.expected = amount;
+
+        uint256 balanceBefore = _balanceOf(token, receiver);
+        uint256 gasBefore = gasleft();
+        (bool ok, bytes memory result) =
+            token.call(abi.encodeWithSignature("transfer(address,uint256)", receiver, amount));
+        leg.gasUsed = gasBefore - gasleft();
+        if (!ok || (result.length >= 32 && !abi.decode(result, (bool)))) {
+            leg.error = result;
+            return leg;
+        }
+
+        leg.ok = true;
+        leg.received = _delta(balanceBefore, _balanceOf(token, receiver));
+    }
+
+    function _balanceOf(address token, address account) internal view returns (uint256) {
+        try IERC20Minimal(token).balanceOf(account) returns (uint256 balance) {
+            return balance;
+        } catch {
+            return 0;
+        }
+    }
+
+    function _totalSupply(address token) internal view returns (uint256) {
+        try IERC20Minimal(token).totalSupply() returns (uint256 supply) {
+            return supply;
+        } catch {
+            return 0;
+        }
+    }
+
+    function _delta(uint256 before, uint256 current) internal pure returns (uint256) {
+        return current > before ? current - before : 0;
+    }
+}
@@ -0,0 +1,16 @@
+// Overlay page opened by the bookmarklet: one <honeypot-check> for the ?address=&chain=
+// of its URL, and a link to the same scan on the full checker
+import './ui/honeypot-check.js';
+import { readPermalink } from './ui/share.js';
+
+const embedCheck = document.getElementById('embed-check');
+const fullLink = document.getElementById('embed-full-link');
+
+const permalink = readPermalink();
+if (permalink) {
+    if (permalink.chain) {
+        embedCheck.setAttribute('chain', permalink.chain);
+    }
+    embedCheck.setAttribute('address', permalink.address);
+}
+fullLink.href = new URL(`index.html${location.search}`, location.href).href;
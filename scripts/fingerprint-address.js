@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Print a HONEYPOT_TEMPLATES entry (src/fingerprint-db.js) for a deployed contract:
+//   node scripts/fingerprint-address.js <address> --family <name> [--description <text>]
+//        [--chain <name>] [--rpc <url>]
+// The fingerprint is taken from the runtime code the scan analyzes (the implementation,
+// behind a proxy), with the chain and address it was read from.
+import { parseArgs } from 'node:util';
+import {
+    analyzeToken,
+    FailoverProvider,
+    DEFAULT_CHAIN,
+    getChain,
+    createFingerprintEntry
+} from '../src/node.js';
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            chain: { type: 'string', default: DEFAULT_CHAIN },
+            rpc: { type: 'string', multiple: true },
+            family: { type: 'string' },
+            description: { type: 'string', default: '' }
+        }
+    });
+    if (positionals.length !== 1 || !options.family) {
+        console.error('Usage: fingerprint-address.js <address> --family <name> [--description <text>] [--chain <name>] [--rpc <url>]');
+        return 2;
+    }
+
+    const chain = getChain(options.chain);
+    const results = await analyzeToken(positionals[0], {
+        provider: new FailoverProvider(options.rpc || chain.rpcUrls, chain.chainId),
+        chain,
+        checks: ['fingerprint']
+    });
+    const { id, family, description, hash, minhash, selectors } = createFingerprintEntry(results, {
+        family: options.family,
+        verdict: 'honeypot',
+        description: options.description
+    });
+    console.log(JSON.stringify({ id, family, description, chain: chain.id, address: results.address, hash, minhash, selectors }, null, 4));
+    return 0;
+}
+
+try {
+    process.exitCode = await main();
+} catch (error) {
+    console.error(`fingerprint-address: ${error.message}`);
+    process.exitCode = 2;
+}
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Replay every recorded scan in fixtures/ (written by honeypot-check --record) with no
+// network and check that the engine still reaches the recorded verdict, with every check
+// having run to the end. Run by `npm test`.
+//
+// The bundled fixtures were recorded against a local hardhat node running chain id 8453,
+// with the published Uniswap V2 factory, pair, router and WETH9 bytecode placed at Base's
+// addresses, behind a proxy that answers eth_call block overrides by mining to the
+// requested block in a snapshot. Both tokens have a funded pair and a few swaps:
+//   sell-blocked.json - sells revert after five buys, LP held by the owner: High Risk
+//   tradable.json     - trading open, LP sent to the dead address: Low Risk (admin functions)
+import { readdir, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import {
+    analyzeToken,
+    SCORING_PROFILES,
+    DEFAULT_PROFILE,
+    CHAINS,
+    ReplayProvider,
+    parseFixture,
+    diffScans
+} from '../src/node.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+// Findings of checks that could not do their job; a recording that has them doesn't
+// exercise those checks, so its verdict proves nothing about them
+const INCOMPLETE_FINDING = /\b(Check Failed|Check Timed Out|Analysis Failed|Resolution Failed|Not Simulated|Unavailable)\b/;
+
+// Checks of a scan that failed, timed out or reported that they could not run
+function findIncompleteChecks(results) {
+    return [
+        ...results.contributions
+            .filter(contribution => contribution.status === 'failed' || contribution.status === 'timeout')
+            .map(contribution => `${contribution.name} ${contribution.status === 'timeout' ? 'timed out' : 'failed'}: ${contribution.error}`),
+        ...results.checks
+            .filter(check => INCOMPLETE_FINDING.test(check.title))
+            .map(check => `${check.title} - ${check.description}`)
+    ];
+}
+
+// Problems with one fixture's replay; empty when the verdict is unchanged
+async function replayFixture(file) {
+    const recording = parseFixture(await readFile(`${FIXTURES_DIR}${file}`, 'utf8'));
+    const { report } = recording;
+    if (!report) {
+        return ['no recorded report to compare with'];
+    }
+    const chain = Object.values(CHAINS).find(entry => entry.chainId === recording.chainId);
+    if (!chain) {
+        return [`recorded on chain ${recording.chainId}, which is not supported`];
+    }
+
+    const results = await analyzeToken(report.address, {
+        provider: new ReplayProvider(recording),
+        chain,
+        profile: SCORING_PROFILES[report.profile.name] || SCORING_PROFILES[DEFAULT_PROFILE]
+    });
+
+    const problems = [
+        ...findIncompleteChecks(results),
+        ...diffScans(report, results).map(change => `[${change.type}] ${change.title} - ${change.description}`)
+    ];
+    if (results.riskLevel.level !== report.riskLevel.level || results.riskScore !== report.riskScore) {
+        problems.push(`verdict ${results.riskLevel.label} (${results.riskScore}), recorded ${report.riskLevel.label} (${report.riskScore})`);
+    }
+    return problems;
+}
+
+async function main() {
+    const files = (await readdir(FIXTURES_DIR)).filter(file => file.endsWith('.json')).sort();
+    if (files.length === 0) {
+        console.error(`No fixtures in ${FIXTURES_DIR}`);
+        return 1;
+    }
+
+    let failed = 0;
+    for (const file of files) {
+        let problems;
+        try {
+            problems = await replayFixture(file);
+        } catch (error) {
+            problems = [error.message];
+        }
+
+        if (problems.length === 0) {
+            console.log(`ok    ${file}`);
+        } else {
+            failed++;
+            console.log(`FAIL  ${file}\n${problems.map(problem => `      ${problem}`).join('\n')}`);
+        }
+    }
+
+    console.log(`\n${files.length - failed} of ${files.length} fixtures reach their recorded verdict with every check complete`);
+    return failed === 0 ? 0 : 1;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,117 @@
+// Pasted ABIs: validation, merging with the built-in ERC20 ABI, and reading the admin
+// getters they declare (_maxTxAmount, isBlacklisted(address), ...)
+import { ERC20_ABI } from './config.js';
+
+// Getters read per address, and how many zero-argument getters are read at most
+const ADDRESS_GETTER = /black|bot|white|exclud|exempt|sniper|blocked|allowed|pair/i;
+const GETTER_LIMIT = 60;
+
+// Validate an ABI from JSON - an array, or a compiler artifact with an `abi` field - and
+// return its fragments as human-readable signatures
+export function parseAbi(json) {
+    const input = typeof json === 'string' ? JSON.parse(json) : json;
+    const abi = Array.isArray(input) ? input : input && input.abi;
+    if (!Array.isArray(abi)) {
+        throw new Error('ABI must be a JSON array or an artifact with an "abi" array');
+    }
+    const fragments = new ethers.utils.Interface(abi).format(ethers.utils.FormatTypes.full);
+    if (fragments.length === 0) {
+        throw new Error('ABI has no fragments');
+    }
+    return fragments;
+}
+
+// The pasted ABI, plus the built-in ERC20 functions it doesn't declare, so checks that
+// call name(), decimals() or owner() keep working
+export function mergeAbi(abi) {
+    const pasted = new ethers.utils.Interface(abi);
+    const missing = new ethers.utils.Interface(ERC20_ABI).fragments
+        .filter(fragment => !Object.values(pasted.functions).some(existing => existing.format() === fragment.format()));
+    return [...pasted.fragments, ...missing].map(fragment => fragment.format(ethers.utils.FormatTypes.full));
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    return ethers.BigNumber.isBigNumber(value) ? value.toString() : String(value);
+}
+
+function describeAccount(address, { tokenAddress, owner }) {
+    if (address === tokenAddress) {
+        return 'token contract';
+    }
+    if (address === owner) {
+        return 'owner';
+    }
+    return `pool ${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Read every zero-argument view function of the ABI, and the list-style getters that
+// take one address for the owner, the token contract and its pools, at `blockNumber`
+export async function readAbiGetters(contract, abi, { tokenAddress, blockNumber, owner, pools }) {
+    const checks = [];
+    let riskScore = 0;
+    const iface = new ethers.utils.Interface(abi);
+    const views = Object.values(iface.functions).filter(fragment => fragment.constant && fragment.outputs.length > 0);
+    const getters = views.filter(fragment => fragment.inputs.length === 0).slice(0, GETTER_LIMIT);
+    const accounts = [...new Set([tokenAddress, owner, ...pools.map(pool => pool.address)].filter(Boolean))]
+        .filter(address => address !== ethers.constants.AddressZero);
+    const lookups = views
+        .filter(fragment => fragment.inputs.length === 1 && fragment.inputs[0].type === 'address' && ADDRESS_GETTER.test(fragment.name))
+        .flatMap(fragment => accounts.map(account => ({ fragment, account })));
+
+    // Encoded by hand so overloads and names that clash with Contract members still work
+    const call = async (fragment, args) => {
+        try {
+            const raw = await contract.provider.call({ to: contract.address, data: iface.encodeFunctionData(fragment, args) }, blockNumber);
+            const decoded = iface.decodeFunctionResult(fragment, raw);
+            return { value: decoded.length === 1 ? formatValue(decoded[0]) : formatValue([...decoded]) };
+        } catch (error) {
+            return { error: error.reason || error.code || error.message };
+        }
+    };
+
+    const [values, lookupValues] = await Promise.all([
+        Promise.all(getters.map(fragment => call(fragment, []))),
+        Promise.all(lookups.map(({ fragment, account }) => call(fragment, [account])))
+    ]);
+
+    const readings = getters.map((fragment, i) => ({ signature: fragment.format(), ...values[i] }));
+    const accountReadings = lookups.map(({ fragment, account }, i) => ({ signature: fragment.format(), account, ...lookupValues[i] }));
+    const read = readings.filter(reading => reading.error === undefined);
+
+    if (readings.length === 0 && accountReadings.length === 0) {
+        checks.push({
+            type: 'success',
+            title: 'ℹ️ No Getters in ABI',
+            description: 'The pasted ABI declares no view functions to read.'
+        });
+    } else {
+        checks.push({
+            type: 'success',
+            title: `ℹ️ ABI Getters (${read.length} of ${readings.length} read)`,
+            description: 'Values of the pasted ABI\'s view functions at the scanned block.',
+            details: [
+                ...readings.map(reading => `${reading.signature} = ${reading.error === undefined ? reading.value : `failed (${reading.error})`}`),
+                ...accountReadings.map(reading =>
+                    `${reading.signature.replace('address', describeAccount(reading.account, { tokenAddress, owner }))} = ${reading.error === undefined ? reading.value : `failed (${reading.error})`}`)
+            ]
+        });
+    }
+
+    // A pool flagged by a blacklist-style getter means nobody can sell
+    const blockedPools = accountReadings.filter(reading =>
+        /black|bot|blocked|sniper/i.test(reading.signature) && reading.value === 'true' && pools.some(pool => pool.address === reading.account));
+    if (blockedPools.length > 0) {
+        checks.push({
+            type: 'danger',
+            title: '🚨 Pool Blacklisted',
+            description: 'A blacklist getter from the pasted ABI returns true for a liquidity pool.',
+            details: blockedPools.map(reading => `${reading.signature} for ${reading.account}`)
+        });
+        riskScore += 40;
+    }
+
+    return { checks, riskScore, getters: { values: readings, accounts: accountReadings } };
+}
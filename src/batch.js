@@ -0,0 +1,131 @@
+// Batch scanning - many tokens, a few at a time
+import { analyzeToken } from './engine.js';
+
+const ADDRESS_PATTERN = /0x[0-9a-fA-F]{40}/g;
+
+// Columns of the batch table and its CSV export
+const BATCH_CSV_COLUMNS = [
+    { header: 'address', value: row => row.address },
+    { header: 'name', value: row => row.name },
+    { header: 'symbol', value: row => row.symbol },
+    { header: 'risk_score', value: row => row.riskScore },
+    { header: 'risk_level', value: row => row.label },
+    { header: 'top_failing_check', value: row => row.topCheck ? `${row.topCheck.name}: ${row.topCheck.finding}` : '' },
+    { header: 'error', value: row => row.error }
+];
+
+// Pull every address out of pasted text or a CSV file, in order and without duplicates.
+// Any layout works: one per line, comma separated, or a column among others.
+export function parseAddressList(text) {
+    const seen = new Set();
+    const addresses = [];
+
+    for (const [match] of text.matchAll(ADDRESS_PATTERN)) {
+        const key = match.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        addresses.push(ethers.utils.getAddress(key));
+    }
+
+    return addresses;
+}
+
+// Analyze many tokens with at most `concurrency` scans in flight, so a public RPC
+// is not flooded. A token that fails to scan is recorded and the batch carries on.
+// `onUpdate(entry)` fires whenever an entry starts or finishes. Aborting `signal` stops
+// the scans in flight and rejects with its reason.
+export async function scanBatch(addresses, { provider, chain, profile, fingerprints, concurrency = 3, signal = null, onUpdate = () => {} } = {}) {
+    const entries = addresses.map(address => ({ address, status: 'pending', results: null, error: null }));
+    let next = 0;
+
+    const worker = async () => {
+        while (next < entries.length && !(signal && signal.aborted)) {
+            const entry = entries[next++];
+            entry.status = 'running';
+            onUpdate(entry);
+
+            try {
+                entry.results = await analyzeToken(entry.address, { provider, chain, profile, fingerprints, signal });
+                entry.status = 'done';
+            } catch (error) {
+                entry.error = error.message || 'Analysis failed';
+                entry.status = 'failed';
+            }
+            onUpdate(entry);
+        }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, entries.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    if (signal) {
+        signal.throwIfAborted();
+    }
+    return entries;
+}
+
+// The check that added the most points, with its worst finding
+export function findTopFailingCheck(results) {
+    const top = results.contributions
+        .filter(contribution => contribution.points > 0)
+        .sort((a, b) => b.points - a.points)[0];
+    if (!top) {
+        return null;
+    }
+
+    const findings = results.checks.filter(check => check.checkId === top.id);
+    const worst = findings.find(check => check.type === 'danger') ||
+        findings.find(check => check.type === 'warning') ||
+        findings[0];
+
+    return {
+        id: top.id,
+        name: top.name,
+        points: top.points,
+        finding: worst ? worst.title : ''
+    };
+}
+
+// One table row per batch entry
+export function summarizeBatchEntry(entry) {
+    const { results } = entry;
+    if (!results) {
+        return {
+            address: entry.address,
+            status: entry.status,
+            name: '',
+            symbol: '',
+            riskScore: null,
+            level: null,
+            label: '',
+            topCheck: null,
+            error: entry.error || ''
+        };
+    }
+
+    return {
+        address: entry.address,
+        status: entry.status,
+        name: results.tokenInfo.name || '',
+        symbol: results.tokenInfo.symbol || '',
+        riskScore: results.riskScore,
+        level: results.riskLevel.level,
+        label: results.riskLevel.label,
+        topCheck: findTopFailingCheck(results),
+        error: ''
+    };
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render summarized rows as CSV
+export function batchToCsv(rows) {
+    const lines = [BATCH_CSV_COLUMNS.map(column => column.header).join(',')];
+    rows.forEach(row => {
+        lines.push(BATCH_CSV_COLUMNS.map(column => escapeCsvField(column.value(row))).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,231 @@
+// Runtime bytecode disassembly and opcode checks
+
+// Build the opcode -> mnemonic table used by the disassembler
+function buildOpcodeTable() {
+    const table = {
+        0x00: 'STOP', 0x01: 'ADD', 0x02: 'MUL', 0x03: 'SUB', 0x04: 'DIV', 0x05: 'SDIV',
+        0x06: 'MOD', 0x07: 'SMOD', 0x08: 'ADDMOD', 0x09: 'MULMOD', 0x0a: 'EXP', 0x0b: 'SIGNEXTEND',
+        0x10: 'LT', 0x11: 'GT', 0x12: 'SLT', 0x13: 'SGT', 0x14: 'EQ', 0x15: 'ISZERO',
+        0x16: 'AND', 0x17: 'OR', 0x18: 'XOR', 0x19: 'NOT', 0x1a: 'BYTE', 0x1b: 'SHL',
+        0x1c: 'SHR', 0x1d: 'SAR', 0x20: 'KECCAK256',
+        0x30: 'ADDRESS', 0x31: 'BALANCE', 0x32: 'ORIGIN', 0x33: 'CALLER', 0x34: 'CALLVALUE',
+        0x35: 'CALLDATALOAD', 0x36: 'CALLDATASIZE', 0x37: 'CALLDATACOPY', 0x38: 'CODESIZE',
+        0x39: 'CODECOPY', 0x3a: 'GASPRICE', 0x3b: 'EXTCODESIZE', 0x3c: 'EXTCODECOPY',
+        0x3d: 'RETURNDATASIZE', 0x3e: 'RETURNDATACOPY', 0x3f: 'EXTCODEHASH',
+        0x40: 'BLOCKHASH', 0x41: 'COINBASE', 0x42: 'TIMESTAMP', 0x43: 'NUMBER', 0x44: 'PREVRANDAO',
+        0x45: 'GASLIMIT', 0x46: 'CHAINID', 0x47: 'SELFBALANCE', 0x48: 'BASEFEE', 0x49: 'BLOBHASH',
+        0x4a: 'BLOBBASEFEE',
+        0x50: 'POP', 0x51: 'MLOAD', 0x52: 'MSTORE', 0x53: 'MSTORE8', 0x54: 'SLOAD', 0x55: 'SSTORE',
+        0x56: 'JUMP', 0x57: 'JUMPI', 0x58: 'PC', 0x59: 'MSIZE', 0x5a: 'GAS', 0x5b: 'JUMPDEST',
+        0x5c: 'TLOAD', 0x5d: 'TSTORE', 0x5e: 'MCOPY', 0x5f: 'PUSH0',
+        0xf0: 'CREATE', 0xf1: 'CALL', 0xf2: 'CALLCODE', 0xf3: 'RETURN', 0xf4: 'DELEGATECALL',
+        0xf5: 'CREATE2', 0xfa: 'STATICCALL', 0xfd: 'REVERT', 0xfe: 'INVALID', 0xff: 'SELFDESTRUCT'
+    };
+
+    for (let i = 1; i <= 32; i++) table[0x5f + i] = `PUSH${i}`;
+    for (let i = 1; i <= 16; i++) table[0x7f + i] = `DUP${i}`;
+    for (let i = 1; i <= 16; i++) table[0x8f + i] = `SWAP${i}`;
+    for (let i = 0; i <= 4; i++) table[0xa0 + i] = `LOG${i}`;
+
+    return table;
+}
+const OPCODE_NAMES = buildOpcodeTable();
+
+// Opcodes reported by the bytecode analysis, with every offset they occur at
+const WATCHED_OPCODES = ['SELFDESTRUCT', 'DELEGATECALL', 'CALLCODE', 'CREATE2', 'SSTORE'];
+
+// Split the CBOR metadata trailer solc/vyper append to runtime code.
+// The last two bytes hold the trailer length; the trailer itself is a CBOR map
+// whose first key is a short text string ("ipfs", "bzzr0", "solc", ...).
+export function stripMetadata(bytes) {
+    if (bytes.length < 2) {
+        return { code: bytes, metadata: null };
+    }
+
+    const length = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    const start = bytes.length - 2 - length;
+    if (length === 0 || start < 0) {
+        return { code: bytes, metadata: null };
+    }
+
+    const mapHeader = bytes[start];
+    const keyHeader = bytes[start + 1];
+    const isCborMap = mapHeader >= 0xa1 && mapHeader <= 0xa5;
+    const isTextKey = keyHeader >= 0x61 && keyHeader <= 0x77;
+    if (!isCborMap || !isTextKey) {
+        return { code: bytes, metadata: null };
+    }
+
+    return { code: bytes.slice(0, start), metadata: bytes.slice(start) };
+}
+
+// Walk runtime bytecode instruction by instruction, skipping PUSH immediates
+export function disassemble(bytecode) {
+    const bytes = ethers.utils.arrayify(bytecode);
+    const { code, metadata } = stripMetadata(bytes);
+    const instructions = [];
+
+    let offset = 0;
+    while (offset < code.length) {
+        const opcode = code[offset];
+        const instruction = {
+            offset,
+            opcode,
+            name: OPCODE_NAMES[opcode] || 'UNKNOWN'
+        };
+
+        // PUSH1 (0x60) to PUSH32 (0x7f) carry 1-32 bytes of inline data
+        if (opcode >= 0x60 && opcode <= 0x7f) {
+            const size = opcode - 0x5f;
+            instruction.push = ethers.utils.hexlify(code.slice(offset + 1, offset + 1 + size));
+            offset += size;
+        }
+
+        instructions.push(instruction);
+        offset += 1;
+    }
+
+    return {
+        instructions,
+        codeSize: code.length,
+        metadataSize: metadata ? metadata.length : 0
+    };
+}
+
+// Collect the offsets of every watched opcode
+export function findOpcodes(instructions) {
+    const found = {};
+    WATCHED_OPCODES.forEach(name => {
+        found[name] = [];
+    });
+
+    instructions.forEach(instruction => {
+        if (found[instruction.name]) {
+            found[instruction.name].push(instruction.offset);
+        }
+    });
+
+    return found;
+}
+
+// Format opcode offsets for display, e.g. "0x01a3, 0x0b2f (+3 more)"
+function formatOffsets(offsets, limit = 8) {
+    const shown = offsets
+        .slice(0, limit)
+        .map(offset => '0x' + offset.toString(16).padStart(4, '0'));
+    const extra = offsets.length - shown.length;
+    return shown.join(', ') + (extra > 0 ? ` (+${extra} more)` : '');
+}
+
+// Analyze bytecode for suspicious patterns
+export function analyzeBytecode(bytecode) {
+    const checks = [];
+    let riskScore = 0;
+
+    const disassembly = disassemble(bytecode);
+    const opcodes = findOpcodes(disassembly.instructions);
+
+    // SELFDESTRUCT can wipe the contract (and every balance in it)
+    if (opcodes.SELFDESTRUCT.length > 0) {
+        checks.push({
+            type: 'danger',
+            title: '🚨 SELFDESTRUCT Detected',
+            description: 'Contract contains SELFDESTRUCT opcode which can destroy the contract',
+            details: [`Offsets: ${formatOffsets(opcodes.SELFDESTRUCT)}`]
+        });
+        riskScore += 15;
+    }
+
+    // CALLCODE is deprecated and runs foreign code against this contract's storage
+    if (opcodes.CALLCODE.length > 0) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ CALLCODE Detected',
+            description: 'Contract uses the deprecated CALLCODE opcode, which executes external code in its own storage context',
+            details: [`Offsets: ${formatOffsets(opcodes.CALLCODE)}`]
+        });
+        riskScore += 5;
+    }
+
+    // DELEGATECALL - common in proxies, not always bad
+    if (opcodes.DELEGATECALL.length > 2) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Multiple DELEGATECALL Found',
+            description: `Contract executes DELEGATECALL from ${opcodes.DELEGATECALL.length} places - external code can modify its storage`,
+            details: [`Offsets: ${formatOffsets(opcodes.DELEGATECALL)}`]
+        });
+        riskScore += 5;
+    } else if (opcodes.DELEGATECALL.length > 0) {
+        checks.push({
+            type: 'success',
+            title: '✓ Proxy Pattern Detected',
+            description: 'Contract uses DELEGATECALL - likely an upgradeable proxy (common pattern)',
+            details: [`Offsets: ${formatOffsets(opcodes.DELEGATECALL)}`]
+        });
+        // No risk score - this is normal
+    }
+
+    // CREATE2 lets the token deploy contracts at pre-computed addresses
+    if (opcodes.CREATE2.length > 0) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ CREATE2 Detected',
+            description: 'Contract can deploy other contracts at deterministic addresses',
+            details: [`Offsets: ${formatOffsets(opcodes.CREATE2)}`]
+        });
+        riskScore += 5;
+    }
+
+    if (opcodes.SSTORE.length > 0) {
+        checks.push({
+            type: 'success',
+            title: 'ℹ️ Storage Writes',
+            description: `Contract writes storage from ${opcodes.SSTORE.length} places in its code`,
+            details: [`Offsets: ${formatOffsets(opcodes.SSTORE)}`]
+        });
+    }
+
+    // Check bytecode length (executable code only, metadata trailer excluded)
+    const codeLength = disassembly.codeSize;
+    if (codeLength < 100) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Minimal Contract',
+            description: 'Very small contract - likely a simple wrapper or proxy'
+        });
+        riskScore += 5;
+    } else if (codeLength > 1000) {
+        checks.push({
+            type: 'success',
+            title: '✓ Standard Contract Size',
+            description: `Contract size: ${codeLength} bytes - appears to be a full implementation`
+        });
+    }
+
+    return { checks, riskScore, disassembly, opcodes };
+}
+
+// Contract size analysis
+export function checkContractSize(runtimeCode) {
+    const checks = [];
+    let riskScore = 0;
+
+    const contractSize = (runtimeCode.length - 2) / 2; // Remove 0x and divide by 2
+    if (contractSize > 24576) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Large Contract',
+            description: `Contract size: ${contractSize} bytes. Unusually large contracts may hide malicious code.`
+        });
+        riskScore += 5;
+    } else {
+        checks.push({
+            type: 'success',
+            title: '✓ Normal Contract Size',
+            description: `Contract size: ${contractSize} bytes`
+        });
+    }
+
+    return { checks, riskScore, evidence: { contractSize } };
+}
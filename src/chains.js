@@ -0,0 +1,165 @@
+// Supported networks. Everything chain-specific lives here; the checks read it from
+// the `chain` passed to analyzeToken.
+//   rpcUrls       - public endpoints, tried in order until health statistics say otherwise
+//   blockTime     - average seconds per block, to turn scan windows into block ranges
+//   logChunkSize  - blocks per eth_getLogs request, when LOG_CHUNK_SIZE doesn't suit the chain
+//   wrappedNative - pool depth is reported in this token
+//   dexes         - searched for liquidity. `type` selects how pools are found and read:
+//       v2      - getPair(tokenA, tokenB); reserves from getReserves(). `router` enables simulation.
+//       solidly - getPool(tokenA, tokenB, stable) for both pool flavours (Aerodrome, Velodrome)
+//       v3      - getPool(tokenA, tokenB, fee) for each fee tier; depth is what the pool holds
+//   quoteTokens   - tokens pools are searched against
+//   lpLockers     - LP tokens held here count as locked - extend as needed
+export const CHAINS = {
+    base: {
+        id: 'base',
+        name: 'Base',
+        chainId: 8453,
+        blockTime: 2,
+        rpcUrls: [
+            'https://mainnet.base.org',
+            'https://base.llamarpc.com',
+            'https://base-mainnet.public.blastapi.io',
+            'https://1rpc.io/base',
+            'https://base.gateway.tenderly.co'
+        ],
+        explorer: { name: 'BaseScan', url: 'https://basescan.org' },
+        wrappedNative: { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+        dexes: [
+            { name: 'Uniswap V2', type: 'v2', factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24' },
+            { name: 'SushiSwap V2', type: 'v2', factory: '0x71524B4f93c58fcbF659783284E38825f0622859', router: '0x6BDED42c6DA8FBf0d2bA55B2fa120C5e0c8D7891' },
+            { name: 'BaseSwap', type: 'v2', factory: '0xFDa619b6d20975be80A10332cD39b9a4b0FAa8BB', router: '0x327Df1E6de05895d2ab08513aaDD9313Fe505d86' },
+            { name: 'Aerodrome', type: 'solidly', factory: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da' },
+            { name: 'Uniswap V3', type: 'v3', factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD', feeTiers: [100, 500, 3000, 10000] }
+        ],
+        quoteTokens: [
+            { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+            { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+            { symbol: 'USDbC', address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', decimals: 6 }
+        ],
+        lpLockers: [
+            { name: 'UNCX', address: '0xc4E637D37113192F4F1F060DaEbD7758De7F4131' },
+            { name: 'Team Finance', address: '0x4F0Fd563BE89ec8C3e7D595bf3639128C0a7C33A' }
+        ]
+    },
+    ethereum: {
+        id: 'ethereum',
+        name: 'Ethereum',
+        chainId: 1,
+        blockTime: 12,
+        rpcUrls: [
+            'https://eth.llamarpc.com',
+            'https://ethereum-rpc.publicnode.com',
+            'https://1rpc.io/eth',
+            'https://rpc.ankr.com/eth',
+            'https://cloudflare-eth.com'
+        ],
+        explorer: { name: 'Etherscan', url: 'https://etherscan.io' },
+        wrappedNative: { symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+        dexes: [
+            { name: 'Uniswap V2', type: 'v2', factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f', router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D' },
+            { name: 'SushiSwap V2', type: 'v2', factory: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac', router: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F' },
+            { name: 'Uniswap V3', type: 'v3', factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984', feeTiers: [100, 500, 3000, 10000] }
+        ],
+        quoteTokens: [
+            { symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+            { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+            { symbol: 'USDT', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 },
+            { symbol: 'DAI', address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18 }
+        ],
+        lpLockers: [
+            { name: 'UNCX', address: '0x663A5C229c09b049E36dCc11a9B0d4a8Eb9db214' },
+            { name: 'Team Finance', address: '0xE2fE530C047f2d85298b07D9333C05737f1435fB' }
+        ]
+    },
+    arbitrum: {
+        id: 'arbitrum',
+        name: 'Arbitrum One',
+        chainId: 42161,
+        blockTime: 0.25,
+        logChunkSize: 100000, // Blocks are tiny; 10k would take ~400 requests per holder scan
+        rpcUrls: [
+            'https://arb1.arbitrum.io/rpc',
+            'https://arbitrum.llamarpc.com',
+            'https://arbitrum-one-rpc.publicnode.com',
+            'https://1rpc.io/arb'
+        ],
+        explorer: { name: 'Arbiscan', url: 'https://arbiscan.io' },
+        wrappedNative: { symbol: 'WETH', address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+        dexes: [
+            { name: 'Uniswap V2', type: 'v2', factory: '0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9', router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24' },
+            { name: 'SushiSwap V2', type: 'v2', factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4', router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506' },
+            { name: 'Uniswap V3', type: 'v3', factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984', feeTiers: [100, 500, 3000, 10000] }
+        ],
+        quoteTokens: [
+            { symbol: 'WETH', address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+            { symbol: 'USDC', address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 },
+            { symbol: 'USDC.e', address: '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8', decimals: 6 },
+            { symbol: 'USDT', address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6 }
+        ],
+        lpLockers: []
+    },
+    optimism: {
+        id: 'optimism',
+        name: 'OP Mainnet',
+        chainId: 10,
+        blockTime: 2,
+        rpcUrls: [
+            'https://mainnet.optimism.io',
+            'https://optimism.llamarpc.com',
+            'https://optimism-rpc.publicnode.com',
+            'https://1rpc.io/op'
+        ],
+        explorer: { name: 'Optimistic Etherscan', url: 'https://optimistic.etherscan.io' },
+        wrappedNative: { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+        dexes: [
+            { name: 'Uniswap V2', type: 'v2', factory: '0x0c3c1c532F1e39EdF36BE9Fe0bE1410313E074Bf', router: '0x4A7b5Da61326A6379179b40d00F57E5bbDC962c2' },
+            { name: 'Velodrome', type: 'solidly', factory: '0xF1046053aa5682b4F9a81b5481394DA16BE5FF5a' },
+            { name: 'Uniswap V3', type: 'v3', factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984', feeTiers: [100, 500, 3000, 10000] }
+        ],
+        quoteTokens: [
+            { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+            { symbol: 'USDC', address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6 },
+            { symbol: 'USDC.e', address: '0x7F5c764cBc14f9669B88837ca1490cCa17c31607', decimals: 6 }
+        ],
+        lpLockers: []
+    }
+};
+
+export const DEFAULT_CHAIN = 'base';
+
+// Look a chain up by registry id ('base') or numeric chain id (8453)
+export function getChain(idOrChainId) {
+    // Own keys only: 'constructor' or 'toString' are not chain ids
+    const chain = (Object.hasOwn(CHAINS, idOrChainId) && CHAINS[idOrChainId]) ||
+        Object.values(CHAINS).find(candidate => candidate.chainId === Number(idOrChainId));
+    if (!chain) {
+        throw new Error(`Unsupported chain "${idOrChainId}" - use one of ${Object.keys(CHAINS).join(', ')}`);
+    }
+    return chain;
+}
+
+// Explorer page for an address
+export function explorerAddressUrl(chain, address) {
+    return `${chain.explorer.url}/address/${address}`;
+}
+
+// Number of blocks covering `seconds` of history on a chain
+export function blocksFor(chain, seconds) {
+    return Math.ceil(seconds / chain.blockTime);
+}
+
+// Ids of the chains where `address` has code. `getProvider(chain)` supplies a provider
+// per chain; a chain whose RPC can't answer is left out rather than failing the lookup.
+export async function findChainsWithCode(address, getProvider) {
+    const found = await Promise.all(Object.values(CHAINS).map(async chain => {
+        try {
+            const code = await getProvider(chain).getCode(address);
+            return code !== '0x' ? chain.id : null;
+        } catch (error) {
+            console.warn(`Could not check ${chain.name} for code:`, error.message);
+            return null;
+        }
+    }));
+    return found.filter(Boolean);
+}
@@ -0,0 +1,363 @@
+import { checkProxy } from './proxy.js';
+import { analyzeBytecode, checkContractSize } from './bytecode.js';
+import { checkPrivilegedFunctions } from './selectors.js';
+import { checkTokenInfo, checkOwnership } from './token.js';
+import { describePool, checkLiquidity, checkLiquidityLock } from './liquidity.js';
+import { checkHolderDistribution } from './holders.js';
+import { checkSwapHistory } from './swaps.js';
+import { checkSimulation } from './simulation.js';
+import { checkTransferLimits, checkBlacklist } from './limits.js';
+import { checkSupplyControl } from './supply.js';
+import { checkFingerprint } from './fingerprint.js';
+import { analyzeSource } from './source.js';
+import { readAbiGetters } from './abi.js';
+
+// Every analysis step, in run order. Each check reads and extends a shared context and
+// returns { checks, riskScore, evidence }; `weight` scales its riskScore into the final score.
+// `requires` lists context fields an earlier check must have filled in, otherwise it is skipped;
+// `uses` lists fields a check reads when they are there (e.g. the owner, which may not exist);
+// `provides` lists the fields a check fills in, so a subset of checks can be run with its dependencies.
+// A failing or timed-out check is reported and scores nothing; only `critical` checks abort the scan.
+export const CHECK_REGISTRY = [
+    {
+        id: 'contract',
+        name: 'Contract Code',
+        category: 'contract',
+        weight: 1,
+        timeout: 15000,
+        critical: true,
+        provides: ['code', 'runtimeCode'],
+        message: 'Verifying contract...',
+        run: async ctx => {
+            const code = await ctx.provider.getCode(ctx.address);
+            if (code === '0x') {
+                throw new Error('Address is not a contract');
+            }
+            ctx.code = code;
+            ctx.runtimeCode = code;
+            return {
+                checks: [{
+                    type: 'success',
+                    title: '✓ Valid Contract',
+                    description: 'Address contains contract bytecode'
+                }],
+                riskScore: 0,
+                evidence: { codeSize: (code.length - 2) / 2 }
+            };
+        }
+    },
+    {
+        // Follow proxies so the code that actually runs gets analyzed.
+        // Calls keep going to the proxy address - that is where the token's storage lives.
+        id: 'proxy',
+        name: 'Proxy Resolution',
+        category: 'contract',
+        weight: 1,
+        timeout: 20000,
+        requires: ['code'],
+        provides: ['runtimeCode', 'proxyAdmin'],
+        message: 'Resolving proxies...',
+        run: async ctx => {
+            const result = await checkProxy(ctx.provider, ctx.address, ctx.code);
+            if (!result.proxy) {
+                return { ...result, evidence: null };
+            }
+            const { chain, implementation, admin } = result.proxy;
+            ctx.runtimeCode = result.proxy.implementationCode;
+            ctx.proxyAdmin = admin;
+            return { ...result, evidence: { chain, implementation, admin } };
+        }
+    },
+    {
+        id: 'erc20',
+        name: 'Token Information',
+        category: 'token',
+        weight: 1,
+        timeout: 15000,
+        provides: ['tokenInfo'],
+        message: 'Reading token information...',
+        run: async ctx => {
+            const result = await checkTokenInfo(ctx.contract);
+            ctx.tokenInfo = result.tokenInfo;
+            return { ...result, evidence: null };
+        }
+    },
+    {
+        id: 'bytecode',
+        name: 'Bytecode Analysis',
+        category: 'bytecode',
+        weight: 1,
+        timeout: 5000,
+        requires: ['runtimeCode'],
+        provides: ['disassembly'],
+        message: 'Analyzing bytecode...',
+        run: async ctx => {
+            const result = analyzeBytecode(ctx.runtimeCode);
+            ctx.disassembly = result.disassembly;
+            return {
+                ...result,
+                evidence: {
+                    codeSize: result.disassembly.codeSize,
+                    metadataSize: result.disassembly.metadataSize,
+                    opcodes: result.opcodes
+                }
+            };
+        }
+    },
+    {
+        id: 'fingerprint',
+        name: 'Template Fingerprint',
+        category: 'bytecode',
+        weight: 1,
+        timeout: 5000,
+        requires: ['disassembly'],
+        message: 'Comparing with known templates...',
+        run: async ctx => {
+            const result = checkFingerprint(ctx.disassembly, ctx.fingerprints);
+            return { ...result, evidence: result.fingerprint };
+        }
+    },
+    {
+        id: 'ownership',
+        name: 'Ownership',
+        category: 'ownership',
+        weight: 1,
+        timeout: 15000,
+        provides: ['owner'],
+        message: 'Checking ownership...',
+        run: async ctx => {
+            const result = await checkOwnership(ctx.contract);
+            ctx.owner = result.owner;
+            return { ...result, evidence: { owner: result.owner } };
+        }
+    },
+    {
+        id: 'privileged-functions',
+        name: 'Privileged Functions',
+        category: 'ownership',
+        weight: 1,
+        timeout: 5000,
+        requires: ['disassembly'],
+        uses: ['owner'],
+        message: 'Matching function selectors...',
+        run: async ctx => {
+            const result = checkPrivilegedFunctions(ctx.disassembly, ctx.owner || null);
+            return { ...result, evidence: result.selectors };
+        }
+    },
+    {
+        // Only runs when the user pasted the token's Solidity source
+        id: 'source-review',
+        name: 'Source Review',
+        category: 'source',
+        weight: 1,
+        timeout: 5000,
+        requires: ['source'],
+        message: 'Reviewing pasted source...',
+        run: async ctx => {
+            const result = analyzeSource(ctx.source);
+            return { ...result, evidence: result.review };
+        }
+    },
+    {
+        id: 'liquidity',
+        name: 'Liquidity',
+        category: 'liquidity',
+        weight: 1,
+        timeout: 45000,
+        provides: ['pools'],
+        message: 'Searching for liquidity...',
+        run: async ctx => {
+            const result = await checkLiquidity(ctx.provider, ctx.chain, ctx.address);
+            ctx.pools = result.pools;
+            return {
+                ...result,
+                evidence: result.pools.map(pool => ({
+                    dex: describePool(pool),
+                    address: pool.address,
+                    quote: pool.quote.symbol,
+                    tokenReserve: pool.tokenReserve.toString(),
+                    quoteReserve: pool.quoteReserve.toString(),
+                    depthInWeth: pool.depthInWeth
+                }))
+            };
+        }
+    },
+    {
+        // Only runs when the user pasted an ABI; ctx.contract is already built from it
+        id: 'abi-getters',
+        name: 'ABI Getters',
+        category: 'source',
+        weight: 1,
+        timeout: 20000,
+        requires: ['abi'],
+        uses: ['owner', 'pools'],
+        message: 'Reading getters from the pasted ABI...',
+        run: async ctx => {
+            const result = await readAbiGetters(ctx.contract, ctx.abi, {
+                tokenAddress: ctx.address,
+                blockNumber: ctx.blockNumber,
+                owner: ctx.owner || null,
+                pools: ctx.pools || []
+            });
+            return { ...result, evidence: result.getters };
+        }
+    },
+    {
+        id: 'simulation',
+        name: 'Buy/Sell Simulation',
+        category: 'trading',
+        weight: 1,
+        timeout: 60000,
+        requires: ['pools'],
+        message: 'Simulating buy & sell...',
+        run: async ctx => {
+            const result = await checkSimulation(ctx.provider, ctx.chain, ctx.contract, ctx.address, ctx.pools);
+            return { ...result, evidence: result.simulation };
+        }
+    },
+    {
+        id: 'limits',
+        name: 'Transaction Limits',
+        category: 'trading',
+        weight: 1,
+        timeout: 60000,
+        requires: ['pools'],
+        message: 'Probing max transaction and wallet limits...',
+        run: async ctx => {
+            const result = await checkTransferLimits(ctx.provider, ctx.contract, ctx.address, ctx.pools);
+            return { ...result, evidence: result.limits };
+        }
+    },
+    {
+        id: 'lp-lock',
+        name: 'LP Lock',
+        category: 'liquidity',
+        weight: 1,
+        timeout: 60000,
+        requires: ['pools'],
+        uses: ['owner'],
+        provides: ['lpProviders'],
+        message: 'Checking liquidity locks...',
+        run: async ctx => {
+            const { creationBlock, latestBlock } = await ctx.getDeployment();
+            const result = await checkLiquidityLock(ctx.provider, ctx.chain, ctx.pools, ctx.owner || null, ctx.address, creationBlock, latestBlock);
+            ctx.lpProviders = result.providers;
+            return { ...result, evidence: result.lock };
+        }
+    },
+    {
+        id: 'holders',
+        name: 'Holder Distribution',
+        category: 'distribution',
+        weight: 1,
+        timeout: 90000,
+        requires: ['pools'],
+        uses: ['owner'],
+        provides: ['holderAddresses'],
+        message: 'Scanning transfer history...',
+        run: async ctx => {
+            const { creationBlock, latestBlock } = await ctx.getDeployment();
+            const result = await checkHolderDistribution(ctx.provider, ctx.contract, ctx.address, {
+                chain: ctx.chain,
+                fromBlock: creationBlock,
+                latestBlock,
+                pools: ctx.pools,
+                owner: ctx.owner || null
+            });
+            if (result.addresses) {
+                ctx.holderAddresses = result.addresses;
+            }
+            return { ...result, evidence: result.holders };
+        }
+    },
+    {
+        id: 'blacklist',
+        name: 'Blacklist Probing',
+        category: 'trading',
+        weight: 1,
+        timeout: 30000,
+        requires: ['pools', 'holderAddresses'],
+        message: 'Probing holders for blacklisting...',
+        run: async ctx => {
+            const result = await checkBlacklist(ctx.provider, ctx.contract, ctx.address, ctx.pools, ctx.holderAddresses);
+            return { ...result, evidence: result.blacklist };
+        }
+    },
+    {
+        id: 'supply',
+        name: 'Supply Control',
+        category: 'ownership',
+        weight: 1,
+        timeout: 60000,
+        requires: ['disassembly', 'owner', 'pools'],
+        message: 'Simulating mint functions...',
+        run: async ctx => {
+            const { creationBlock, latestBlock } = await ctx.getDeployment();
+            const result = await checkSupplyControl(ctx.provider, ctx.contract, ctx.address, {
+                chain: ctx.chain,
+                disassembly: ctx.disassembly,
+                owner: ctx.owner,
+                pools: ctx.pools,
+                fromBlock: creationBlock,
+                latestBlock
+            });
+            return { ...result, evidence: result.supply };
+        }
+    },
+    {
+        id: 'swap-history',
+        name: 'Swap History',
+        category: 'trading',
+        weight: 1,
+        timeout: 60000,
+        requires: ['pools'],
+        uses: ['owner', 'proxyAdmin', 'lpProviders'],
+        message: 'Reading swap history...',
+        run: async ctx => {
+            const { creationBlock, latestBlock } = await ctx.getDeployment();
+            const privileged = [ctx.owner, ctx.address, ctx.proxyAdmin, ...(ctx.lpProviders || [])].filter(Boolean);
+            const result = await checkSwapHistory(ctx.provider, ctx.pools[0], ctx.address, {
+                chain: ctx.chain,
+                fromBlock: creationBlock,
+                latestBlock,
+                privileged,
+                blocks: ctx.swapBlocks
+            });
+            return { ...result, evidence: result.swaps };
+        }
+    },
+    {
+        id: 'contract-size',
+        name: 'Contract Size',
+        category: 'bytecode',
+        weight: 1,
+        timeout: 1000,
+        requires: ['runtimeCode'],
+        message: 'Measuring contract size...',
+        run: async ctx => checkContractSize(ctx.runtimeCode)
+    }
+];
+
+// Registry entries needed to run the checks in `ids`, in run order: the checks
+// themselves plus whatever provides the context they require or use
+export function selectChecks(ids) {
+    const selected = new Set(ids);
+    const pending = [...ids];
+    while (pending.length > 0) {
+        const id = pending.pop();
+        const check = CHECK_REGISTRY.find(entry => entry.id === id);
+        if (!check) {
+            throw new Error(`Unknown check "${id}"`);
+        }
+        [...(check.requires || []), ...(check.uses || [])].forEach(key => {
+            CHECK_REGISTRY
+                .filter(entry => (entry.provides || []).includes(key) && !selected.has(entry.id))
+                .forEach(entry => {
+                    selected.add(entry.id);
+                    pending.push(entry.id);
+                });
+        });
+    }
+    return CHECK_REGISTRY.filter(entry => selected.has(entry.id));
+}
@@ -0,0 +1,80 @@
+// RPC failover
+export const RPC_REQUEST_TIMEOUT = 10000; // ms before a request counts as failed and moves on
+export const RPC_MAX_ROUNDS = 3; // Passes over all endpoints before a request gives up
+export const RPC_BACKOFF_MS = 500; // Base delay between passes and of a rate-limit cooldown, doubled each time
+
+// Multicall3, deployed at the same address on every major chain
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+export const MULTICALL_BATCH_LIMIT = 100; // Calls per aggregate3 / JSON-RPC batch
+export const MULTICALL_BATCH_WAIT = 10; // ms to collect concurrent calls before sending them together
+
+// ERC20 ABI (minimal for token analysis)
+export const ERC20_ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address) view returns (uint256)',
+    'function owner() view returns (address)',
+    'function getOwner() view returns (address)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)'
+];
+
+export const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+// Log scanning
+export const LOG_CHUNK_SIZE = 10000; // Blocks per eth_getLogs request before any splitting
+export const HOLDER_SCAN_SECONDS = 1000000; // ~11.5 days; older history is not replayed
+export const HOLDER_CANDIDATE_LIMIT = 100; // Addresses whose balance is confirmed with balanceOf
+export const TOP_HOLDER_COUNT = 10;
+export const SWAP_SCAN_SECONDS = 86400; // 24h
+export const MINT_SCAN_SECONDS = 1000000; // Same window as the holder scan
+export const MINT_HISTORY_LIMIT = 20; // Latest mints kept as evidence
+export const LP_MINT_SCAN_SECONDS = 1000000; // LP mints read when the token's creation block is unknown
+
+// Time-shifted simulation: the round trip is repeated at these points in the future
+export const SIMULATION_TIME_TRIALS = [
+    { label: '1 minute', seconds: 60 },
+    { label: '1 hour', seconds: 3600 },
+    { label: '24h', seconds: 86400 },
+    { label: '7 days', seconds: 604800 }
+];
+
+// Transfer limit and blacklist probing
+export const LIMIT_PROBE_PRECISION = 10000; // Binary searches stop within 1/10000 (0.01%) of supply
+export const BLACKLIST_SAMPLE_SIZE = 20; // Holders whose transfers are tried against a fresh wallet
+
+// Watchlist monitoring
+export const WATCH_POLL_INTERVAL = 30000; // ms between polls for new events
+export const WATCH_CATCHUP_SECONDS = 3600; // After a long pause (sleeping tab), only the last hour is read
+
+export const FACTORY_ABI = [
+    'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+];
+
+export const SOLIDLY_FACTORY_ABI = [
+    'function getPool(address tokenA, address tokenB, bool stable) external view returns (address pool)'
+];
+
+export const V3_FACTORY_ABI = [
+    'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)'
+];
+
+export const PAIR_ABI = [
+    'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function token0() external view returns (address)',
+    'function token1() external view returns (address)'
+];
+
+export const OWNABLE_ABI = [
+    'function owner() view returns (address)'
+];
+
+// Addresses that count as "nobody" for ownership and admin rights
+export const BURN_ADDRESSES = [
+    ethers.constants.AddressZero,
+    '0x000000000000000000000000000000000000dEaD'
+];
@@ -0,0 +1,248 @@
+import { ERC20_ABI } from './config.js';
+import { findCreationBlock } from './logs.js';
+import { CHECK_REGISTRY, selectChecks } from './checks.js';
+import { SCORING_PROFILES, DEFAULT_PROFILE, getCheckWeight, calculateRiskLevel } from './scoring.js';
+import { CHAINS, DEFAULT_CHAIN } from './chains.js';
+import { describeRpc } from './rpc.js';
+import { mergeAbi } from './abi.js';
+
+// Run every registered check against a token and return a JSON-serializable report.
+//   provider   - ethers provider connected to the token's chain
+//   chain      - entry of CHAINS (see chains.js) the provider is connected to, Base by default
+//   profile    - scoring profile (see scoring.js), balanced by default
+//   checks     - ids of the checks to run (plus the checks they depend on); all by default
+//   fingerprints - the user's own labeled templates (see fingerprint.js), on top of the bundled ones
+//   abi        - the token's ABI (see parseAbi in abi.js), used for calls instead of the ERC20 ABI
+//   source     - the token's Solidity source, reviewed offline (see source.js)
+//   swapBlocks - how many recent blocks of swaps to classify, the last 24 hours by default
+//   signal     - AbortSignal; aborting rejects with its reason straight away and leaves
+//                the running check's result unused. Give the scan a provider forked with
+//                the same signal (FailoverProvider.fork) to stop its requests too.
+//   onProgress - called with { check, message, completed, total } before each check
+//                and with the check's `contribution` and findings (`checks`) added once it finishes
+export async function analyzeToken(address, {
+    provider,
+    chain = CHAINS[DEFAULT_CHAIN],
+    profile = SCORING_PROFILES[DEFAULT_PROFILE],
+    checks = null,
+    fingerprints = [],
+    abi = null,
+    source = null,
+    swapBlocks = null,
+    signal = null,
+    onProgress = () => {}
+} = {}) {
+    if (!provider) {
+        throw new Error('analyzeToken needs a provider');
+    }
+    if (!ethers.utils.isAddress(address)) {
+        throw new Error(`Invalid token address: ${address}`);
+    }
+    address = ethers.utils.getAddress(address);
+
+    const network = await untilAborted(provider.getNetwork(), signal);
+    if (network.chainId !== chain.chainId) {
+        throw new Error(`Provider is connected to chain ${network.chainId}, not ${chain.name} (${chain.chainId})`);
+    }
+
+    const blockNumber = await untilAborted(provider.getBlockNumber(), signal);
+    const results = {
+        address,
+        chain: { id: chain.id, name: chain.name, chainId: chain.chainId },
+        blockNumber,
+        rpc: null,
+        timestamp: new Date().toISOString(),
+        checks: [],
+        riskScore: 0,
+        riskLevel: null,
+        tokenInfo: {},
+        profile: { name: profile.name, label: profile.label, thresholds: profile.thresholds },
+        contributions: [],
+        evidence: {},
+        creationBlock: null
+    };
+
+    // Shared between checks. Log-based checks start at the block the token was
+    // created in, which is looked up once, the first time a check asks for it.
+    let deployment = null;
+    const ctx = {
+        provider,
+        chain,
+        address,
+        blockNumber,
+        contract: new ethers.Contract(address, abi ? mergeAbi(abi) : ERC20_ABI, provider),
+        fingerprints,
+        // Undefined picks checkSwapHistory's default window
+        swapBlocks: swapBlocks || undefined,
+        // Left undefined when not given, so the checks that need them are skipped
+        abi: abi || undefined,
+        source: source || undefined,
+        getDeployment: () => {
+            if (!deployment) {
+                deployment = (async () => {
+                    const creationBlock = await findCreationBlock(provider, address, blockNumber);
+                    results.creationBlock = creationBlock;
+                    return { latestBlock: blockNumber, creationBlock };
+                })();
+            }
+            return deployment;
+        }
+    };
+
+    const registry = checks ? selectChecks(checks) : CHECK_REGISTRY;
+    const total = registry.length;
+    for (const [completed, check] of registry.entries()) {
+        onProgress({ check: check.id, message: check.message, completed, total });
+        const outcome = await untilAborted(runCheck(check, ctx, profile), signal);
+
+        results.checks.push(...outcome.checks);
+        results.riskScore += outcome.contribution.points;
+        results.contributions.push(outcome.contribution);
+        if (outcome.evidence !== undefined) {
+            results.evidence[check.id] = outcome.evidence;
+        }
+        onProgress({
+            check: check.id,
+            message: check.message,
+            completed: completed + 1,
+            total,
+            contribution: outcome.contribution,
+            checks: outcome.checks
+        });
+    }
+
+    results.tokenInfo = ctx.tokenInfo || {};
+    results.rpc = describeRpc(provider, chain);
+    results.riskLevel = calculateRiskLevel(results.riskScore, profile.thresholds);
+    return results;
+}
+
+// Re-run some checks of an earlier analyzeToken report and merge their outcome into it,
+// e.g. after an ownership transfer only ownership-related checks need to run again.
+// Takes the same options as analyzeToken and returns a new report.
+export async function recheckToken(previous, checkIds, options = {}) {
+    const { profile = SCORING_PROFILES[DEFAULT_PROFILE] } = options;
+    const partial = await analyzeToken(previous.address, { ...options, checks: checkIds });
+    const rerun = new Set(partial.contributions.map(contribution => contribution.id));
+
+    const contributions = CHECK_REGISTRY.map(check => (rerun.has(check.id)
+        ? partial.contributions.find(contribution => contribution.id === check.id)
+        : previous.contributions.find(contribution => contribution.id === check.id))).filter(Boolean);
+    const checks = CHECK_REGISTRY.flatMap(check => (rerun.has(check.id) ? partial : previous).checks
+        .filter(finding => finding.checkId === check.id));
+    const evidence = { ...previous.evidence };
+    rerun.forEach(id => {
+        delete evidence[id];
+        if (partial.evidence[id] !== undefined) {
+            evidence[id] = partial.evidence[id];
+        }
+    });
+
+    const riskScore = contributions.reduce((total, contribution) => total + contribution.points, 0);
+    return {
+        ...previous,
+        blockNumber: partial.blockNumber,
+        rpc: partial.rpc,
+        timestamp: partial.timestamp,
+        checks,
+        riskScore,
+        riskLevel: calculateRiskLevel(riskScore, profile.thresholds),
+        tokenInfo: rerun.has('erc20') ? partial.tokenInfo : previous.tokenInfo,
+        profile: partial.profile,
+        contributions,
+        evidence
+    };
+}
+
+// Run one registered check, turning failures and timeouts into a warning worth no points.
+// An RPC outage aborts the scan instead.
+export async function runCheck(check, ctx, profile) {
+    const weight = getCheckWeight(check, profile);
+    const contribution = {
+        id: check.id,
+        name: check.name,
+        category: check.category,
+        status: 'ok',
+        rawScore: 0,
+        weight,
+        points: 0,
+        duration: 0
+    };
+
+    const missing = (check.requires || []).filter(key => ctx[key] === undefined);
+    if (missing.length > 0) {
+        contribution.status = 'skipped';
+        contribution.error = `Missing ${missing.join(', ')}`;
+        return { contribution, checks: [] };
+    }
+
+    const startedAt = Date.now();
+    try {
+        const result = await withTimeout(check.run(ctx), check.timeout, `${check.name} timed out after ${check.timeout / 1000}s`);
+        assertNoOutage(ctx.provider, startedAt);
+        contribution.duration = Date.now() - startedAt;
+        contribution.rawScore = result.riskScore;
+        contribution.points = Math.round(result.riskScore * weight);
+        return {
+            contribution,
+            checks: result.checks.map(finding => ({ ...finding, checkId: check.id })),
+            evidence: result.evidence
+        };
+    } catch (error) {
+        assertNoOutage(ctx.provider, startedAt);
+        if (check.critical) {
+            throw error;
+        }
+        console.error(`${check.name} check failed:`, error);
+        contribution.duration = Date.now() - startedAt;
+        contribution.status = error.code === 'CHECK_TIMEOUT' ? 'timeout' : 'failed';
+        contribution.error = error.message;
+        return {
+            contribution,
+            checks: [{
+                type: 'warning',
+                title: `⚠️ ${check.name} Check ${contribution.status === 'timeout' ? 'Timed Out' : 'Failed'}`,
+                description: `${error.message || 'Unknown error'}. This check did not contribute to the risk score.`,
+                checkId: check.id
+            }]
+        };
+    }
+}
+
+// Every RPC endpoint failed while the check ran - even if the check swallowed the
+// error, its findings can't be trusted and the remaining checks would fail the same way
+function assertNoOutage(provider, since) {
+    const outage = provider.lastOutage;
+    if (outage && outage.at >= since) {
+        throw outage.error;
+    }
+}
+
+// Settle like `promise`, or reject with the signal's reason as soon as it aborts.
+// The abandoned work winds down on its own once its provider stops sending (see
+// FailoverProvider.fork); whatever it still returns is dropped.
+function untilAborted(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    signal.throwIfAborted();
+    let onAbort;
+    const aborted = new Promise((_, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+    return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// Reject with a CHECK_TIMEOUT error when `promise` takes longer than `ms`
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            error.code = 'CHECK_TIMEOUT';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
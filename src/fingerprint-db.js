@@ -0,0 +1,49 @@
+// Bundled template database for fingerprint.js. Entries describe a template by any of
+// `hash` (normalized bytecode), `minhash` (opcode n-grams) and `selectors`. Known-good
+// entries are standard OpenZeppelin interfaces, given as signatures and hashed at load
+// time; honeypot entries are fingerprints of deployed honeypots. Users add their own
+// families from scans they label (see createFingerprintEntry).
+import { getChain } from './chains.js';
+
+const ERC20_V5 = [
+    'name()', 'symbol()', 'decimals()', 'totalSupply()', 'balanceOf(address)',
+    'transfer(address,uint256)', 'allowance(address,address)', 'approve(address,uint256)',
+    'transferFrom(address,address,uint256)'
+];
+const ERC20_V4 = [...ERC20_V5, 'increaseAllowance(address,uint256)', 'decreaseAllowance(address,uint256)'];
+const OWNABLE = ['owner()', 'renounceOwnership()', 'transferOwnership(address)'];
+const PERMIT = ['permit(address,address,uint256,uint256,uint8,bytes32,bytes32)', 'nonces(address)', 'DOMAIN_SEPARATOR()'];
+
+const TEMPLATES = [
+    { id: 'oz-erc20-v4', family: 'OpenZeppelin ERC20 (v4)', signatures: ERC20_V4 },
+    { id: 'oz-erc20-ownable-v4', family: 'OpenZeppelin ERC20 + Ownable (v4)', signatures: [...ERC20_V4, ...OWNABLE] },
+    { id: 'oz-erc20-permit-v4', family: 'OpenZeppelin ERC20Permit (v4)', signatures: [...ERC20_V4, ...PERMIT] },
+    { id: 'oz-erc20-v5', family: 'OpenZeppelin ERC20 (v5)', signatures: ERC20_V5 },
+    { id: 'oz-erc20-ownable-v5', family: 'OpenZeppelin ERC20 + Ownable (v5)', signatures: [...ERC20_V5, ...OWNABLE] },
+    { id: 'oz-erc20-permit-v5', family: 'OpenZeppelin ERC20Permit (v5)', signatures: [...ERC20_V5, ...PERMIT, 'eip712Domain()'] }
+];
+
+const KNOWN_GOOD = TEMPLATES.map(({ id, family, signatures }) => ({
+    id,
+    family,
+    verdict: 'known-good',
+    description: 'Unmodified standard interface, matched by function selectors only',
+    selectors: signatures.map(signature => ethers.utils.id(signature).slice(0, 10)).sort()
+}));
+
+// Fingerprints of honeypot contracts observed on-chain, each labeled with the chain and
+// address its runtime code was read from:
+//   { id, family, description, chain, address, hash, minhash, selectors }
+// Print an entry for a deployed contract with scripts/fingerprint-address.js. Other contracts
+// only resemble a family through the selectors it adds to the interfaces above, so pick
+// deployments whose trap comes with its own admin functions.
+const HONEYPOT_TEMPLATES = [];
+
+export const FINGERPRINT_DATABASE = [
+    ...KNOWN_GOOD,
+    ...HONEYPOT_TEMPLATES.map(({ chain, address, ...entry }) => ({
+        ...entry,
+        verdict: 'honeypot',
+        source: `${getChain(chain).name} ${address}`
+    }))
+];
@@ -0,0 +1,279 @@
+// Template fingerprinting: normalized bytecode hashes, opcode n-gram MinHash signatures
+// and selector sets, compared against a database of labeled templates
+import { extractSelectors } from './selectors.js';
+import { FINGERPRINT_DATABASE } from './fingerprint-db.js';
+
+export const FINGERPRINT_VERDICTS = ['honeypot', 'known-good'];
+
+// Opcodes per shingle and values per MinHash signature
+const NGRAM_SIZE = 5;
+const MINHASH_SIZE = 64;
+
+// Similarity (%) from which a known-good template counts as a match, and a honeypot family
+// as a resemblance. Only identical normalized bytecode is a honeypot match: the trap is a
+// few instructions, which a close copy may have dropped without moving the similarity.
+const MATCH_THRESHOLD = 90;
+const RESEMBLANCE_THRESHOLD = 75;
+
+// Share of the similarity carried by the opcode n-grams when both sides have them
+const OPCODE_SHARE = 0.75;
+
+// murmur3 finalizer: spreads a 32-bit value over all bits
+function mix32(value) {
+    let h = value >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => mix32(0x9e3779b9 * (i + 1)));
+
+// Code without the values that differ between deployments of one template: PUSH32
+// words that hold an address or small number (solc writes immutables that way) and
+// hardcoded PUSH20 addresses become zeros. Metadata is already gone from the disassembly.
+export function normalizeBytecode(instructions) {
+    const bytes = [];
+    instructions.forEach(instruction => {
+        bytes.push(instruction.opcode);
+        if (instruction.push === undefined) {
+            return;
+        }
+        const data = ethers.utils.arrayify(instruction.push);
+        const immutable = instruction.name === 'PUSH32' && data.slice(0, 12).every(byte => byte === 0);
+        const masked = immutable || instruction.name === 'PUSH20';
+        data.forEach(byte => bytes.push(masked ? 0 : byte));
+    });
+    return Uint8Array.from(bytes);
+}
+
+// MinHash over the opcode sequence. PUSH sizes are folded together, so a template
+// that only moved some jump targets keeps its shingles.
+function opcodeMinHash(instructions) {
+    const opcodes = instructions.map(instruction => (instruction.opcode >= 0x60 && instruction.opcode <= 0x7f ? 0x60 : instruction.opcode));
+    const minimums = new Array(MINHASH_SIZE).fill(0xffffffff);
+
+    for (let i = 0; i + NGRAM_SIZE <= opcodes.length; i++) {
+        // FNV-1a over the shingle
+        let hash = 0x811c9dc5;
+        for (let j = 0; j < NGRAM_SIZE; j++) {
+            hash = Math.imul(hash ^ opcodes[i + j], 0x01000193);
+        }
+        for (let k = 0; k < MINHASH_SIZE; k++) {
+            const value = mix32(hash ^ MINHASH_SEEDS[k]);
+            if (value < minimums[k]) {
+                minimums[k] = value;
+            }
+        }
+    }
+
+    return minimums.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+// Fingerprint of a disassembled contract: { hash, minhash, selectors }
+export function createFingerprint(disassembly) {
+    return {
+        hash: ethers.utils.keccak256(normalizeBytecode(disassembly.instructions)),
+        minhash: opcodeMinHash(disassembly.instructions),
+        selectors: extractSelectors(disassembly.instructions).sort()
+    };
+}
+
+function minhashSimilarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+        if (a.slice(i * 8, i * 8 + 8) === b.slice(i * 8, i * 8 + 8)) {
+            equal++;
+        }
+    }
+    return equal / MINHASH_SIZE;
+}
+
+function selectorSimilarity(a, b) {
+    const set = new Set(a);
+    const shared = b.filter(selector => set.has(selector)).length;
+    const union = set.size + b.length - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+// Compare a fingerprint with one database entry. Entries may carry any of hash,
+// minhash and selectors; `basis` says what the similarity rests on. With `boilerplate`
+// (selectors of the standard interfaces), only the selectors the entry adds to them count,
+// and the similarity is scaled by the share of those the contract has: a contract without
+// a family's own functions doesn't resemble it, however much standard code they share.
+export function compareFingerprint(fingerprint, entry, boilerplate = null) {
+    if (entry.hash && entry.hash === fingerprint.hash) {
+        return { similarity: 100, exact: true, basis: 'bytecode' };
+    }
+
+    const opcodes = entry.minhash ? minhashSimilarity(fingerprint.minhash, entry.minhash) : null;
+    if (boilerplate && entry.selectors) {
+        const own = entry.selectors.filter(selector => !boilerplate.has(selector));
+        const contract = new Set(fingerprint.selectors);
+        const coverage = own.length === 0 ? 0 : own.filter(selector => contract.has(selector)).length / own.length;
+        return {
+            similarity: Math.round((opcodes === null ? 1 : opcodes) * coverage * 100),
+            exact: false,
+            basis: opcodes === null ? 'family selectors' : 'opcodes and family selectors'
+        };
+    }
+
+    const selectors = entry.selectors ? selectorSimilarity(fingerprint.selectors, entry.selectors) : null;
+    let similarity;
+    let basis;
+    if (opcodes !== null && selectors !== null) {
+        similarity = OPCODE_SHARE * opcodes + (1 - OPCODE_SHARE) * selectors;
+        basis = 'opcodes and selectors';
+    } else if (opcodes !== null) {
+        similarity = opcodes;
+        basis = 'opcodes';
+    } else {
+        similarity = selectors || 0;
+        basis = 'selectors';
+    }
+    return { similarity: Math.round(similarity * 100), exact: false, basis };
+}
+
+// Every entry compared with the fingerprint, most similar first. Honeypot entries are
+// compared on what they add to the database's known-good interfaces.
+export function matchFingerprint(fingerprint, database) {
+    const boilerplate = new Set(database
+        .filter(entry => entry.verdict === 'known-good')
+        .flatMap(entry => entry.selectors || []));
+    return database
+        .map(entry => ({ entry, ...compareFingerprint(fingerprint, entry, entry.verdict === 'honeypot' ? boilerplate : null) }))
+        .sort((a, b) => b.similarity - a.similarity);
+}
+
+// Validate a user template database loaded from JSON: an array of
+// { family, verdict, description?, hash?, minhash?, selectors? }
+export function parseFingerprintDatabase(json) {
+    const input = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Array.isArray(input)) {
+        throw new Error('Template database must be a JSON array');
+    }
+
+    return input.map((entry, index) => {
+        const where = `Template ${index + 1}`;
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`${where} must be an object`);
+        }
+        if (typeof entry.family !== 'string' || !entry.family.trim()) {
+            throw new Error(`${where} needs a "family" name`);
+        }
+        if (!FINGERPRINT_VERDICTS.includes(entry.verdict)) {
+            throw new Error(`${where} needs a "verdict" of ${FINGERPRINT_VERDICTS.join(' or ')}`);
+        }
+        if (entry.hash !== undefined && !ethers.utils.isHexString(entry.hash, 32)) {
+            throw new Error(`${where} has an invalid "hash"`);
+        }
+        if (entry.minhash !== undefined && !new RegExp(`^[0-9a-f]{${MINHASH_SIZE * 8}}$`).test(entry.minhash)) {
+            throw new Error(`${where} has an invalid "minhash"`);
+        }
+        if (entry.selectors !== undefined && (!Array.isArray(entry.selectors) || !entry.selectors.every(selector => ethers.utils.isHexString(selector, 4)))) {
+            throw new Error(`${where} has invalid "selectors"`);
+        }
+        if (!entry.hash && !entry.minhash && !entry.selectors) {
+            throw new Error(`${where} needs a "hash", "minhash" or "selectors"`);
+        }
+
+        return {
+            id: typeof entry.id === 'string' && entry.id ? entry.id : `user-${index + 1}`,
+            family: entry.family.trim(),
+            verdict: entry.verdict,
+            description: typeof entry.description === 'string' ? entry.description : '',
+            ...(entry.source ? { source: String(entry.source) } : {}),
+            ...(entry.hash ? { hash: entry.hash.toLowerCase() } : {}),
+            ...(entry.minhash ? { minhash: entry.minhash } : {}),
+            ...(entry.selectors ? { selectors: entry.selectors.map(selector => selector.toLowerCase()).sort() } : {})
+        };
+    });
+}
+
+// A database entry labeling the template of a scanned token
+export function createFingerprintEntry(results, { family, verdict, description = '' }) {
+    const fingerprint = results.evidence.fingerprint;
+    if (!fingerprint) {
+        throw new Error('This scan has no fingerprint');
+    }
+    return parseFingerprintDatabase([{
+        id: `${results.chain.id}:${results.address.toLowerCase()}`,
+        family,
+        verdict,
+        description,
+        source: `${results.chain.name} ${results.address}`,
+        hash: fingerprint.hash,
+        minhash: fingerprint.minhash,
+        selectors: fingerprint.selectors
+    }])[0];
+}
+
+function describeMatch(match) {
+    return match.exact
+        ? 'identical normalized bytecode'
+        : `${match.similarity}% similar by ${match.basis}`;
+}
+
+// Compare the contract with the bundled templates and the user's own `database`
+export function checkFingerprint(disassembly, database = []) {
+    const checks = [];
+    let riskScore = 0;
+
+    const fingerprint = createFingerprint(disassembly);
+    const matches = matchFingerprint(fingerprint, [...FINGERPRINT_DATABASE, ...database]);
+    const details = entry => [entry.description, entry.source ? `Labeled from ${entry.source}` : null].filter(Boolean);
+
+    const honeypot = matches.find(match => match.entry.verdict === 'honeypot');
+    const knownGood = matches.find(match => match.entry.verdict === 'known-good');
+    // A standard template that fits at least as well explains the resemblance
+    const explained = honeypot && knownGood && knownGood.similarity >= honeypot.similarity;
+
+    if (honeypot && honeypot.exact) {
+        checks.push({
+            type: 'danger',
+            title: `🚨 Honeypot Template: ${honeypot.entry.family} (${honeypot.similarity}%)`,
+            description: `Contract matches the ${honeypot.entry.family} honeypot family - ${describeMatch(honeypot)}.`,
+            details: details(honeypot.entry)
+        });
+        riskScore += 60;
+    } else if (honeypot && honeypot.similarity >= RESEMBLANCE_THRESHOLD && !explained) {
+        checks.push({
+            type: 'warning',
+            title: `⚠️ Resembles Honeypot Template: ${honeypot.entry.family} (${honeypot.similarity}%)`,
+            description: `Contract resembles the ${honeypot.entry.family} honeypot family - ${describeMatch(honeypot)}, but the bytecode differs, so its trap may be gone.`,
+            details: details(honeypot.entry)
+        });
+        riskScore += 20;
+    } else if (knownGood && knownGood.similarity >= MATCH_THRESHOLD) {
+        // Informational only: a known interface says nothing about what transfer() does
+        checks.push({
+            type: 'success',
+            title: knownGood.basis === 'selectors'
+                ? `ℹ️ Same Interface as ${knownGood.entry.family} (${knownGood.similarity}%)`
+                : `ℹ️ Known Template: ${knownGood.entry.family} (${knownGood.similarity}%)`,
+            description: `Contract matches ${knownGood.entry.family} - ${describeMatch(knownGood)}.`,
+            details: details(knownGood.entry)
+        });
+    } else {
+        checks.push({
+            type: 'success',
+            title: 'ℹ️ No Known Template',
+            description: `No close match among ${matches.length} labeled templates.`
+        });
+    }
+
+    return {
+        checks,
+        riskScore,
+        fingerprint: {
+            ...fingerprint,
+            matches: matches.slice(0, 3).map(match => ({
+                id: match.entry.id,
+                family: match.entry.family,
+                verdict: match.entry.verdict,
+                similarity: match.similarity,
+                exact: match.exact,
+                basis: match.basis
+            }))
+        }
+    };
+}
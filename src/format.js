@@ -0,0 +1,20 @@
+// Number formatting shared by checks and clients
+
+// Format large numbers
+export function formatNumber(num) {
+    const n = parseFloat(num);
+    if (n >= 1e9) {
+        return (n / 1e9).toFixed(2) + 'B';
+    } else if (n >= 1e6) {
+        return (n / 1e6).toFixed(2) + 'M';
+    } else if (n >= 1e3) {
+        return (n / 1e3).toFixed(2) + 'K';
+    }
+    return n.toFixed(2);
+}
+
+// Percentage of `total` held in `amount`, with two decimals
+export function shareOf(amount, total) {
+    if (total.isZero()) return 0;
+    return amount.mul(10000).div(total).toNumber() / 100;
+}
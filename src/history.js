@@ -0,0 +1,199 @@
+// Scan history: what changed between two scans of the same token.
+// Pure functions over analyzeToken results; storage is up to the caller.
+import { BURN_ADDRESSES } from './config.js';
+import { CHAINS } from './chains.js';
+
+// Liquidity moves smaller than this fraction are noise from trading
+const LIQUIDITY_CHANGE_THRESHOLD = 0.1;
+// A drop of at least this fraction is reported as liquidity being pulled
+const LIQUIDITY_PULL_THRESHOLD = 0.5;
+// Tax changes below this many percentage points are rounding in the simulation
+const TAX_CHANGE_THRESHOLD = 1;
+
+const LEVEL_RANK = { safe: 0, warning: 1, danger: 2 };
+
+const TAX_LEGS = [
+    { key: 'buy', label: 'Buy Tax' },
+    { key: 'sell', label: 'Sell Tax' },
+    { key: 'transfer', label: 'Transfer Tax' }
+];
+
+// Scans of the same token on the same chain share this key
+export function historyKey(results) {
+    return `${results.chain.id}:${results.address.toLowerCase()}`;
+}
+
+// The parts of a scan that are compared. Fields whose check failed or was skipped
+// are undefined, so a flaky RPC doesn't show up as a change.
+export function summarizeScan(results) {
+    const { ownership, liquidity, simulation } = results.evidence;
+
+    return {
+        riskScore: results.riskScore,
+        riskLevel: results.riskLevel,
+        owner: ownership ? ownership.owner : undefined,
+        liquidity: liquidity ? liquidity.reduce((total, pool) => total + pool.depthInWeth, 0) : undefined,
+        taxes: simulation ? summarizeTaxes(simulation) : undefined,
+        findings: new Map(results.checks
+            .filter(check => check.type !== 'success')
+            .map(check => [findingKey(check), check]))
+    };
+}
+
+function summarizeTaxes(simulation) {
+    return {
+        buy: simulation.buy.tax,
+        sell: simulation.sell.tax,
+        transfer: simulation.transfer.tax,
+        sellFails: !simulation.sell.ok && !simulation.sell.skipped
+    };
+}
+
+// Numbers are masked so "High Sell Tax (25%)" and "High Sell Tax (30%)" count as the
+// same finding; the tax comparison reports the difference
+function findingKey(check) {
+    return `${check.checkId}|${check.title.replace(/\d+(\.\d+)?/g, '#')}`;
+}
+
+// Differences between an earlier and a later scan of one token, worst first, in the
+// shape of findings: { field, type, title, description }
+export function diffScans(previous, current) {
+    const before = summarizeScan(previous);
+    const after = summarizeScan(current);
+    const native = (CHAINS[current.chain.id] || CHAINS.base).wrappedNative.symbol;
+
+    const changes = [
+        ...diffScore(before, after),
+        ...diffOwner(before.owner, after.owner),
+        ...diffTaxes(before.taxes, after.taxes),
+        ...diffLiquidity(before.liquidity, after.liquidity, native),
+        ...diffFindings(before.findings, after.findings)
+    ];
+
+    const severity = { danger: 0, warning: 1, success: 2 };
+    return changes.sort((a, b) => severity[a.type] - severity[b.type]);
+}
+
+function diffScore(before, after) {
+    if (before.riskScore === after.riskScore) {
+        return [];
+    }
+
+    const levelChange = LEVEL_RANK[after.riskLevel.level] - LEVEL_RANK[before.riskLevel.level];
+    let type = after.riskScore > before.riskScore ? 'warning' : 'success';
+    if (levelChange > 0) {
+        type = 'danger';
+    }
+
+    return [{
+        field: 'score',
+        type,
+        title: `Risk Score ${before.riskScore} → ${after.riskScore}`,
+        description: levelChange === 0
+            ? `Still ${after.riskLevel.label}`
+            : `${before.riskLevel.label} → ${after.riskLevel.label}`
+    }];
+}
+
+function isOwned(owner) {
+    return owner !== null && !BURN_ADDRESSES.some(burn => burn.toLowerCase() === owner.toLowerCase());
+}
+
+function describeOwner(owner) {
+    if (owner === null) {
+        return 'no owner function';
+    }
+    return isOwned(owner) ? owner : 'renounced';
+}
+
+function diffOwner(before, after) {
+    if (before === undefined || after === undefined || (before || '').toLowerCase() === (after || '').toLowerCase()) {
+        return [];
+    }
+
+    const hadOwner = isOwned(before);
+    const hasOwner = isOwned(after);
+    if (!hadOwner && !hasOwner) {
+        return [];
+    }
+    return [{
+        field: 'owner',
+        type: hasOwner ? (hadOwner ? 'warning' : 'danger') : 'success',
+        title: hasOwner && !hadOwner ? 'Ownership Reclaimed' : 'Owner Changed',
+        description: `${describeOwner(before)} → ${describeOwner(after)}`
+    }];
+}
+
+function diffTaxes(before, after) {
+    if (!before || !after) {
+        return [];
+    }
+
+    const changes = [];
+    if (before.sellFails !== after.sellFails) {
+        changes.push(after.sellFails
+            ? { field: 'taxes', type: 'danger', title: 'Sells Now Fail', description: 'The sell simulation passed on the earlier scan and reverts now - likely turned into a honeypot' }
+            : { field: 'taxes', type: 'success', title: 'Sells Work Again', description: 'The sell simulation reverted on the earlier scan and passes now' });
+    }
+
+    // A leg that reverted has no tax; the revert itself is the change worth reporting
+    TAX_LEGS.forEach(({ key, label }) => {
+        const from = before[key];
+        const to = after[key];
+        if (from === null || to === null || Math.abs(to - from) < TAX_CHANGE_THRESHOLD) {
+            return;
+        }
+        const raised = to > from;
+        changes.push({
+            field: 'taxes',
+            type: raised ? (to >= 20 ? 'danger' : 'warning') : 'success',
+            title: `${label} ${raised ? 'Raised' : 'Lowered'}`,
+            description: `${from}% → ${to}%`
+        });
+    });
+
+    return changes;
+}
+
+function diffLiquidity(before, after, native) {
+    if (before === undefined || after === undefined || before === after) {
+        return [];
+    }
+
+    const description = `${before.toFixed(4)} → ${after.toFixed(4)} ${native}`;
+    if (before === 0) {
+        return [{ field: 'liquidity', type: 'success', title: 'Liquidity Added', description }];
+    }
+
+    const change = (after - before) / before;
+    if (Math.abs(change) < LIQUIDITY_CHANGE_THRESHOLD) {
+        return [];
+    }
+
+    const percent = `${Math.abs(change * 100).toFixed(0)}%`;
+    if (change > 0) {
+        return [{ field: 'liquidity', type: 'success', title: `Liquidity Up ${percent}`, description }];
+    }
+    return [{
+        field: 'liquidity',
+        type: -change >= LIQUIDITY_PULL_THRESHOLD ? 'danger' : 'warning',
+        title: after === 0 ? 'Liquidity Removed' : `Liquidity Down ${percent}`,
+        description
+    }];
+}
+
+function diffFindings(before, after) {
+    const added = [...after].filter(([key]) => !before.has(key)).map(([, check]) => ({
+        field: 'findings',
+        type: check.type,
+        title: `New: ${check.title}`,
+        description: check.description
+    }));
+    const cleared = [...before].filter(([key]) => !after.has(key)).map(([, check]) => ({
+        field: 'findings',
+        type: 'success',
+        title: `Cleared: ${check.title}`,
+        description: check.description
+    }));
+    return [...added, ...cleared];
+}
@@ -0,0 +1,160 @@
+// Holder concentration rebuilt from Transfer logs
+import {
+    TRANSFER_TOPIC,
+    HOLDER_SCAN_SECONDS,
+    HOLDER_CANDIDATE_LIMIT,
+    TOP_HOLDER_COUNT,
+    BURN_ADDRESSES
+} from './config.js';
+import { shareOf } from './format.js';
+import { getLogsChunked, topicToAddress } from './logs.js';
+import { blocksFor } from './chains.js';
+
+// Rebuild token balances from Transfer logs.
+// When the scan covers the token's whole history the sums are exact; otherwise
+// they only rank addresses seen in the window (by how much they received).
+export async function scanTransferBalances(provider, tokenAddress, fromBlock, toBlock, chunkSize) {
+    const logs = await getLogsChunked(provider, { address: tokenAddress, topics: [TRANSFER_TOPIC] }, fromBlock, toBlock, chunkSize);
+    const balances = new Map();
+    const received = new Map();
+
+    logs.forEach(log => {
+        // ERC721 uses the same event with an indexed tokenId; skip anything that isn't ERC20-shaped
+        if (log.topics.length !== 3) return;
+
+        const from = topicToAddress(log.topics[1]);
+        const to = topicToAddress(log.topics[2]);
+        const value = ethers.BigNumber.from(log.data);
+
+        balances.set(from, (balances.get(from) || ethers.constants.Zero).sub(value));
+        balances.set(to, (balances.get(to) || ethers.constants.Zero).add(value));
+        received.set(to, (received.get(to) || ethers.constants.Zero).add(value));
+    });
+
+    balances.delete(ethers.constants.AddressZero);
+    return { balances, received, transferCount: logs.length };
+}
+
+// Read balanceOf for many addresses. Issued together, so a FailoverProvider
+// sends them as one Multicall3 call.
+function readBalances(contract, addresses) {
+    return Promise.all(addresses.map(address => contract.balanceOf(address)));
+}
+
+// Check how concentrated the token supply is
+export async function checkHolderDistribution(provider, contract, tokenAddress, { chain, fromBlock, latestBlock, pools, owner }) {
+    const checks = [];
+    let riskScore = 0;
+    let holders = null;
+    let addresses = null;
+
+    try {
+        const totalSupply = await contract.totalSupply();
+        if (totalSupply.isZero()) {
+            return { checks, riskScore, holders, addresses };
+        }
+
+        // Old tokens are only replayed over the most recent window
+        const windowStart = Math.max(0, latestBlock - blocksFor(chain, HOLDER_SCAN_SECONDS) + 1);
+        const scanStart = fromBlock === null ? windowStart : Math.max(fromBlock, windowStart);
+        const complete = fromBlock !== null && fromBlock >= windowStart;
+
+        const scan = await scanTransferBalances(provider, tokenAddress, scanStart, latestBlock, chain.logChunkSize);
+        const ranking = complete ? scan.balances : scan.received;
+
+        // Confirm the most promising candidates with their live balance
+        const candidates = [...ranking.entries()]
+            .filter(([, amount]) => amount.gt(0))
+            .sort((a, b) => (b[1].gt(a[1]) ? 1 : b[1].lt(a[1]) ? -1 : 0))
+            .slice(0, HOLDER_CANDIDATE_LIMIT)
+            .map(([address]) => address);
+        const ownerHolds = owner && !BURN_ADDRESSES.includes(owner);
+        const [liveBalances, ownerBalance] = await Promise.all([
+            readBalances(contract, candidates),
+            ownerHolds ? contract.balanceOf(owner) : null
+        ]);
+
+        const poolAddresses = pools.map(pool => pool.address);
+        const labelFor = address => {
+            if (BURN_ADDRESSES.includes(address)) return 'Burn';
+            if (poolAddresses.includes(address)) return 'Liquidity pool';
+            if (owner && address === owner) return 'Owner';
+            if (address === ethers.utils.getAddress(tokenAddress)) return 'Token contract';
+            const locker = chain.lpLockers.find(l => l.address === address);
+            return locker ? `${locker.name} locker` : null;
+        };
+
+        const ranked = candidates
+            .map((address, i) => ({
+                address,
+                balance: liveBalances[i],
+                share: shareOf(liveBalances[i], totalSupply),
+                label: labelFor(address)
+            }))
+            .filter(holder => !holder.balance.isZero())
+            .sort((a, b) => b.share - a.share);
+
+        // Pools and burn addresses are not holders that can dump on the market
+        const circulatingHolders = ranked.filter(holder => holder.label !== 'Burn' && holder.label !== 'Liquidity pool');
+        const topTenShare = circulatingHolders
+            .slice(0, 10)
+            .reduce((total, holder) => total + holder.share, 0);
+
+        const ownerShare = ownerHolds ? shareOf(ownerBalance, totalSupply) : 0;
+        // Ordinary wallets, largest first - what blacklist probing samples from
+        addresses = ranked.filter(holder => !holder.label).map(holder => holder.address);
+
+        holders = {
+            top: ranked.slice(0, TOP_HOLDER_COUNT).map(holder => ({
+                ...holder,
+                balance: holder.balance.toString()
+            })),
+            topTenShare,
+            ownerShare,
+            transferCount: scan.transferCount,
+            scannedFrom: scanStart,
+            scannedTo: latestBlock,
+            complete
+        };
+
+        const scope = complete
+            ? `full history (${scan.transferCount} transfers)`
+            : `last ${latestBlock - scanStart + 1} blocks (${scan.transferCount} transfers)`;
+        const description = `Top 10 holders own ${topTenShare.toFixed(2)}% of supply, excluding pools and burn addresses. Scanned ${scope}.`;
+
+        if (topTenShare >= 80) {
+            checks.push({ type: 'danger', title: '🚨 Highly Concentrated Supply', description });
+            riskScore += 20;
+        } else if (topTenShare >= 50) {
+            checks.push({ type: 'warning', title: '⚠️ Concentrated Supply', description });
+            riskScore += 10;
+        } else {
+            checks.push({ type: 'success', title: '✓ Holder Distribution', description });
+        }
+
+        if (ownerShare >= 50) {
+            checks.push({
+                type: 'danger',
+                title: '🚨 Owner Holds Most of the Supply',
+                description: `Owner wallet holds ${ownerShare.toFixed(2)}% of supply`
+            });
+            riskScore += 20;
+        } else if (ownerShare >= 20) {
+            checks.push({
+                type: 'warning',
+                title: '⚠️ Large Owner Balance',
+                description: `Owner wallet holds ${ownerShare.toFixed(2)}% of supply`
+            });
+            riskScore += 10;
+        }
+    } catch (error) {
+        console.error('Holder analysis error:', error);
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Holder Analysis Failed',
+            description: 'Could not rebuild holder balances from transfer logs.'
+        });
+    }
+
+    return { checks, riskScore, holders, addresses };
+}
@@ -0,0 +1,28 @@
+// Public entry point of the analysis engine.
+// Modules use a global `ethers` (v5): the browser page loads it from a CDN,
+// Node callers import ./node.js, which provides it from the ethers package.
+export { analyzeToken, recheckToken } from './engine.js';
+export { CHECK_REGISTRY } from './checks.js';
+export { SCORING_PROFILES, DEFAULT_PROFILE, parseScoringProfile, calculateRiskLevel } from './scoring.js';
+export { CHAINS, DEFAULT_CHAIN, getChain, explorerAddressUrl, findChainsWithCode } from './chains.js';
+export { formatNumber } from './format.js';
+export { FailoverProvider, probeEndpoint, classifyRpcError, describeRpc, RPC_UNAVAILABLE } from './rpc.js';
+export { disassemble, analyzeBytecode } from './bytecode.js';
+export { extractSelectors } from './selectors.js';
+export { resolveProxy } from './proxy.js';
+export { discoverPools, describePool } from './liquidity.js';
+export { simulateRoundTrip } from './simulation.js';
+export { parseAddressList, scanBatch, summarizeBatchEntry, findTopFailingCheck, batchToCsv } from './batch.js';
+export { historyKey, summarizeScan, diffScans } from './history.js';
+export { createWatcher, classifyWatchLog } from './watch.js';
+export { formatReportMarkdown, formatReportHtml } from './report.js';
+export {
+    createFingerprint,
+    matchFingerprint,
+    parseFingerprintDatabase,
+    createFingerprintEntry,
+    FINGERPRINT_VERDICTS
+} from './fingerprint.js';
+export { parseAbi } from './abi.js';
+export { analyzeSource } from './source.js';
+export { RecordingProvider, ReplayProvider, parseFixture } from './replay.js';
@@ -0,0 +1,6 @@
+// Expose ethers (v5, the version index.html loads) as the global the engine modules expect
+// where no page script provides it - the analysis worker and pages embedding <honeypot-check>.
+// Imported before anything else by worker.js and ui/honeypot-check.js.
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+
+globalThis.ethers = globalThis.ethers || ethers;
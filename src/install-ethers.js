@@ -0,0 +1,5 @@
+// Expose the ethers package as the global the engine modules expect.
+// Imported before anything else by ./node.js.
+import { ethers } from 'ethers';
+
+globalThis.ethers = globalThis.ethers || ethers;
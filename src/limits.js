@@ -0,0 +1,309 @@
+// Transfer limit and blacklist probing through eth_call state overrides: the largest
+// buy, sell and wallet balance a token allows, and whether real holders are blocked
+import { ERC20_ABI, LIMIT_PROBE_PRECISION, BLACKLIST_SAMPLE_SIZE } from './config.js';
+import { formatNumber, shareOf } from './format.js';
+import { classifyRpcError, throwIfCancelled } from './rpc.js';
+import { findBalanceSlot, balanceSlotKey, toStorageValue, syntheticAddress, decodeRevertReason } from './simulation.js';
+
+// Fresh wallets no token has seen, so no exemption or blacklist entry applies to them
+const PROBE_SENDER = syntheticAddress('honeypot-checker.probe-sender');
+const PROBE_RECEIVER = syntheticAddress('honeypot-checker.probe-receiver');
+
+const erc20 = new ethers.utils.Interface(ERC20_ABI);
+
+// Whether `from` can transfer `amount` to `to` once the balances in `balances`
+// ({ holder: amount }) are planted. Reverts resolve to { ok: false }; RPC failures throw.
+async function tryTransfer(provider, token, from, to, amount, balances) {
+    const stateDiff = {};
+    Object.entries(balances).forEach(([holder, balance]) => {
+        stateDiff[balanceSlotKey(token.balanceSlot, holder)] = toStorageValue(balance);
+    });
+
+    try {
+        const raw = await provider.send('eth_call', [
+            { from, to: token.address, data: erc20.encodeFunctionData('transfer', [to, amount]) },
+            'latest',
+            { [token.address]: { stateDiff } }
+        ]);
+        // Tokens that return nothing signal success by not reverting
+        const ok = raw === '0x' || erc20.decodeFunctionResult('transfer', raw)[0];
+        return { ok, error: ok ? null : 'returned false' };
+    } catch (error) {
+        if (classifyRpcError(error) !== 'revert') {
+            throw error;
+        }
+        return { ok: false, error: decodeRevertReason(error.error.data) };
+    }
+}
+
+// Binary search for the largest amount up to `supply` that `succeeds`, to within one
+// `step`. null when the whole supply goes through; zero when even one step fails.
+// Stops between probes once `provider`'s job is cancelled.
+async function searchLimit(provider, supply, step, succeeds) {
+    if (await succeeds(supply)) {
+        return null;
+    }
+    if (!(await succeeds(step))) {
+        return ethers.constants.Zero;
+    }
+
+    let low = step;
+    let high = supply;
+    while (high.sub(low).gt(step)) {
+        throwIfCancelled(provider);
+        const middle = low.add(high).div(2);
+        if (await succeeds(middle)) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Balances planted for probing, and the smallest amount worth telling apart
+async function prepareProbe(provider, contract, tokenAddress) {
+    const [supply, decimals, balanceSlot] = await Promise.all([
+        contract.totalSupply(),
+        contract.decimals().catch(() => 18),
+        findBalanceSlot(provider, tokenAddress)
+    ]);
+    if (!balanceSlot || supply.isZero()) {
+        return null;
+    }
+
+    const step = supply.div(LIMIT_PROBE_PRECISION);
+    return {
+        address: tokenAddress,
+        balanceSlot,
+        supply,
+        decimals,
+        step: step.isZero() ? ethers.constants.One : step
+    };
+}
+
+// Where buys come from and sells go to: the pool the simulation trades through
+function probePool(pools) {
+    return pools.find(pool => pool.router) || pools[0];
+}
+
+function describeAmount(token, amount) {
+    return `${shareOf(amount, token.supply).toFixed(2)}% of supply (${formatNumber(ethers.utils.formatUnits(amount, token.decimals))} tokens)`;
+}
+
+function summarizeLimit(token, limit) {
+    return {
+        limit: limit === null ? null : limit.toString(),
+        share: limit === null ? null : shareOf(limit, token.supply)
+    };
+}
+
+// Grade the largest buy/sell and the largest wallet balance. A zero limit means even
+// the smallest amount reverts - a blocked leg the simulation reports, not a limit.
+function reportLimits(token, buy, sell, wallet) {
+    const checks = [];
+    let riskScore = 0;
+
+    const measured = [['Buy', buy], ['Sell', sell]].filter(([, limit]) => limit === null || !limit.isZero());
+    const blocked = [['Buy', buy], ['Sell', sell]].filter(([, limit]) => limit !== null && limit.isZero())
+        .map(([label]) => `Max ${label.toLowerCase()}: not measured - even ${describeAmount(token, token.step)} reverts`);
+    const limited = measured.filter(([, limit]) => limit !== null);
+    if (limited.length === 0) {
+        const legs = measured.map(([label]) => `${label.toLowerCase()}s`).join(' and ');
+        checks.push({
+            type: 'success',
+            title: '✓ No Transaction Limit',
+            description: `${legs.charAt(0).toUpperCase()}${legs.slice(1)} of the whole supply go through.`,
+            ...(blocked.length > 0 ? { details: blocked } : {})
+        });
+    } else {
+        const tightest = limited.reduce((a, b) => (b[1].lt(a[1]) ? b : a))[1];
+        const share = shareOf(tightest, token.supply);
+        const description = `Largest transaction that goes through: ${describeAmount(token, tightest)}.`;
+        const details = [...limited.map(([label, limit]) => `Max ${label.toLowerCase()}: ${describeAmount(token, limit)}`), ...blocked];
+        if (share < 0.5) {
+            checks.push({ type: 'danger', title: '🚨 Tight Max Transaction', description, details });
+            riskScore += 20;
+        } else if (share < 2) {
+            checks.push({ type: 'warning', title: '⚠️ Max Transaction Limit', description, details });
+            riskScore += 10;
+        } else {
+            checks.push({ type: 'success', title: '✓ Max Transaction', description, details });
+        }
+    }
+
+    if (wallet === null) {
+        checks.push({ type: 'success', title: '✓ No Wallet Limit', description: 'A wallet can hold the whole supply.' });
+    } else if (!wallet.isZero()) {
+        const share = shareOf(wallet, token.supply);
+        const description = `Largest balance a wallet can buy up to: ${describeAmount(token, wallet)}.`;
+        if (share < 1) {
+            checks.push({ type: 'danger', title: '🚨 Tight Max Wallet', description });
+            riskScore += 15;
+        } else if (share < 3) {
+            checks.push({ type: 'warning', title: '⚠️ Max Wallet Limit', description });
+            riskScore += 5;
+        } else {
+            checks.push({ type: 'success', title: '✓ Max Wallet', description });
+        }
+    }
+
+    return { checks, riskScore };
+}
+
+// Largest buy (pool -> fresh wallet), sell (fresh wallet -> pool) and wallet balance
+// that still receives a buy, found by binary search over the supply
+export async function checkTransferLimits(provider, contract, tokenAddress, pools) {
+    const unavailable = description => ({
+        checks: [{ type: 'warning', title: '⚠️ Limits Not Probed', description }],
+        riskScore: 0,
+        limits: null
+    });
+
+    const pool = probePool(pools);
+    if (!pool) {
+        return unavailable('Transaction limits are probed against a liquidity pool; none was found.');
+    }
+
+    let token;
+    try {
+        token = await prepareProbe(provider, contract, tokenAddress);
+    } catch (error) {
+        console.warn('Limit probing unavailable:', error.message);
+    }
+    if (!token) {
+        return unavailable('Probing needs the token balance storage slot and an RPC with eth_call state overrides.');
+    }
+
+    const [buy, sell, walletBalance] = await Promise.all([
+        searchLimit(provider, token.supply, token.step, async amount =>
+            (await tryTransfer(provider, token, pool.address, PROBE_RECEIVER, amount, { [pool.address]: token.supply })).ok),
+        searchLimit(provider, token.supply, token.step, async amount =>
+            (await tryTransfer(provider, token, PROBE_SENDER, pool.address, amount, { [PROBE_SENDER]: token.supply })).ok),
+        // The largest balance that can still receive one more step
+        searchLimit(provider, token.supply, token.step, async balance =>
+            (await tryTransfer(provider, token, pool.address, PROBE_RECEIVER, token.step, {
+                [pool.address]: token.supply,
+                [PROBE_RECEIVER]: balance
+            })).ok)
+    ]);
+
+    // Nothing goes through either way: a blocked token, which the simulation reports
+    if (buy !== null && buy.isZero() && sell !== null && sell.isZero()) {
+        return unavailable(`Even a ${describeAmount(token, token.step)} buy or sell reverts, so limits could not be measured.`);
+    }
+
+    // A buy that can't land in any wallet leaves the wallet limit unmeasured (zero)
+    const wallet = walletBalance === null || walletBalance.isZero() ? walletBalance : walletBalance.add(token.step);
+    const result = reportLimits(token, buy, sell, wallet);
+    return {
+        ...result,
+        limits: {
+            pool: pool.address,
+            buy: summarizeLimit(token, buy),
+            sell: summarizeLimit(token, sell),
+            wallet: summarizeLimit(token, wallet)
+        }
+    };
+}
+
+// Spread the sample over the ranking so large and small holders are both tried
+function sampleHolders(addresses, size) {
+    if (addresses.length <= size) {
+        return addresses;
+    }
+    return Array.from({ length: size }, (_, i) => addresses[Math.floor(i * addresses.length / size)]);
+}
+
+// Whether `from` can transfer a small amount to a fresh wallet and sell it to the pool
+async function probeSender(provider, token, pool, from) {
+    const balances = { [from]: token.step };
+    const [transfer, sell] = await Promise.all([
+        tryTransfer(provider, token, from, PROBE_RECEIVER, token.step, balances),
+        tryTransfer(provider, token, from, pool.address, token.step, balances)
+    ]);
+    return { transfer, sell };
+}
+
+// Per-address blacklists: sampled real holders try the transfer and sell a fresh
+// wallet can make. Only failures the fresh wallet doesn't share count.
+export async function checkBlacklist(provider, contract, tokenAddress, pools, holderAddresses) {
+    const checks = [];
+    let riskScore = 0;
+    let blacklist = null;
+
+    const pool = probePool(pools);
+    const sample = sampleHolders(holderAddresses, BLACKLIST_SAMPLE_SIZE);
+    if (!pool || sample.length === 0) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Blacklist Not Probed',
+            description: pool ? 'No ordinary holder wallets were found to sample.' : 'Blacklist probing needs a liquidity pool.'
+        });
+        return { checks, riskScore, blacklist };
+    }
+
+    let token;
+    try {
+        token = await prepareProbe(provider, contract, tokenAddress);
+    } catch (error) {
+        console.warn('Blacklist probing unavailable:', error.message);
+    }
+    if (!token) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Blacklist Not Probed',
+            description: 'Probing needs the token balance storage slot and an RPC with eth_call state overrides.'
+        });
+        return { checks, riskScore, blacklist };
+    }
+
+    const [control, ...results] = await Promise.all([
+        probeSender(provider, token, pool, PROBE_SENDER),
+        ...sample.map(address => probeSender(provider, token, pool, address))
+    ]);
+
+    const legs = ['transfer', 'sell'].filter(leg => control[leg].ok);
+    const blocked = sample
+        .map((address, i) => ({
+            address,
+            transfer: results[i].transfer.ok ? null : results[i].transfer.error,
+            sell: results[i].sell.ok ? null : results[i].sell.error
+        }))
+        .filter(holder => legs.some(leg => holder[leg] !== null));
+
+    blacklist = {
+        pool: pool.address,
+        sampled: sample.length,
+        amount: token.step.toString(),
+        control: { transfer: control.transfer.error, sell: control.sell.error },
+        blocked
+    };
+
+    if (legs.length === 0) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Blacklist Not Probed',
+            description: 'Transfers and sells from a fresh wallet revert too, so blocked holders cannot be told apart.'
+        });
+    } else if (blocked.length > 0) {
+        checks.push({
+            type: 'danger',
+            title: '🚨 Holders Blocked',
+            description: `${blocked.length} of ${sample.length} sampled holders cannot ${legs.join(' or ')} while a fresh wallet can - the contract blocks specific addresses.`,
+            details: blocked.map(holder => `${holder.address}: ${legs
+                .filter(leg => holder[leg] !== null)
+                .map(leg => `${leg} reverts (${holder[leg]})`)
+                .join(', ')}`)
+        });
+        riskScore += 30;
+    } else {
+        checks.push({
+            type: 'success',
+            title: '✓ No Blocked Holders',
+            description: `All ${sample.length} sampled holders can ${legs.join(' and ')} like a fresh wallet.`
+        });
+    }
+
+    return { checks, riskScore, blacklist };
+}
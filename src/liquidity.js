@@ -0,0 +1,353 @@
+// Pool discovery across DEXes and LP lock analysis
+import {
+    ERC20_ABI,
+    TRANSFER_TOPIC,
+    FACTORY_ABI,
+    SOLIDLY_FACTORY_ABI,
+    V3_FACTORY_ABI,
+    PAIR_ABI,
+    BURN_ADDRESSES,
+    LP_MINT_SCAN_SECONDS
+} from './config.js';
+import { formatNumber, shareOf } from './format.js';
+import { getLogsChunked, topicToAddress } from './logs.js';
+import { blocksFor } from './chains.js';
+
+// Look up every pool the chain's DEXes could have between `tokenAddress` and `quote`
+function findPoolsForQuote(provider, chain, tokenAddress, quote) {
+    const lookups = [];
+
+    chain.dexes.forEach(dex => {
+        if (dex.type === 'v2') {
+            const factory = new ethers.Contract(dex.factory, FACTORY_ABI, provider);
+            lookups.push({ dex, quote, find: () => factory.getPair(tokenAddress, quote.address) });
+        } else if (dex.type === 'solidly') {
+            const factory = new ethers.Contract(dex.factory, SOLIDLY_FACTORY_ABI, provider);
+            [false, true].forEach(stable => {
+                lookups.push({ dex, quote, stable, find: () => factory.getPool(tokenAddress, quote.address, stable) });
+            });
+        } else if (dex.type === 'v3') {
+            const factory = new ethers.Contract(dex.factory, V3_FACTORY_ABI, provider);
+            dex.feeTiers.forEach(fee => {
+                lookups.push({ dex, quote, fee, find: () => factory.getPool(tokenAddress, quote.address, fee) });
+            });
+        }
+    });
+
+    return lookups;
+}
+
+// Read how much of each side a pool holds, and which side the token is on
+async function readPoolReserves(provider, lookup, poolAddress, tokenAddress) {
+    const pair = new ethers.Contract(poolAddress, PAIR_ABI, provider);
+    if (lookup.dex.type === 'v3') {
+        // Concentrated liquidity has no reserves - use the balances the pool holds
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        const quote = new ethers.Contract(lookup.quote.address, ERC20_ABI, provider);
+        const [tokenReserve, quoteReserve, token0] = await Promise.all([
+            token.balanceOf(poolAddress),
+            quote.balanceOf(poolAddress),
+            pair.token0()
+        ]);
+        return { tokenReserve, quoteReserve, tokenIsToken0: token0.toLowerCase() === tokenAddress.toLowerCase() };
+    }
+
+    const [reserves, token0] = await Promise.all([pair.getReserves(), pair.token0()]);
+    const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+    return {
+        tokenReserve: tokenIsToken0 ? reserves.reserve0 : reserves.reserve1,
+        quoteReserve: tokenIsToken0 ? reserves.reserve1 : reserves.reserve0,
+        tokenIsToken0
+    };
+}
+
+// Price of a quote token in WETH, from the deepest constant-product pool against WETH.
+// Cached per provider - the same address can be a different token on another chain.
+const quotePriceCache = new WeakMap();
+
+async function getQuotePriceInWeth(provider, chain, quote) {
+    const weth = chain.wrappedNative;
+    if (quote.address.toLowerCase() === weth.address.toLowerCase()) {
+        return 1;
+    }
+    if (!quotePriceCache.has(provider)) {
+        quotePriceCache.set(provider, new Map());
+    }
+    const prices = quotePriceCache.get(provider);
+    if (prices.has(quote.address)) {
+        return prices.get(quote.address);
+    }
+
+    const lookups = findPoolsForQuote(provider, chain, quote.address, weth)
+        // Reserve ratios are only a price for volatile constant-product pools
+        .filter(lookup => lookup.dex.type === 'v2' || (lookup.dex.type === 'solidly' && !lookup.stable));
+
+    let best = null;
+    await Promise.all(lookups.map(async lookup => {
+        try {
+            const poolAddress = await lookup.find();
+            if (poolAddress === ethers.constants.AddressZero) return;
+            const { tokenReserve, quoteReserve } = await readPoolReserves(provider, lookup, poolAddress, quote.address);
+            if (tokenReserve.isZero()) return;
+            if (!best || quoteReserve.gt(best.wethReserve)) {
+                best = { wethReserve: quoteReserve, quoteReserve: tokenReserve };
+            }
+        } catch {
+            // Missing factory or pool on this DEX
+        }
+    }));
+
+    const price = best
+        ? parseFloat(ethers.utils.formatUnits(best.wethReserve, weth.decimals)) /
+            parseFloat(ethers.utils.formatUnits(best.quoteReserve, quote.decimals))
+        : 0;
+    prices.set(quote.address, price);
+    return price;
+}
+
+// Search every DEX, fee tier and quote token of the chain for pools; deepest first
+export async function discoverPools(provider, chain, tokenAddress) {
+    const lookups = chain.quoteTokens
+        .filter(quote => quote.address.toLowerCase() !== tokenAddress.toLowerCase())
+        .flatMap(quote => findPoolsForQuote(provider, chain, tokenAddress, quote));
+
+    const found = await Promise.all(lookups.map(async lookup => {
+        let poolAddress;
+        try {
+            poolAddress = await lookup.find();
+        } catch {
+            return null; // Factory not deployed / call reverted
+        }
+        if (poolAddress === ethers.constants.AddressZero) {
+            return null;
+        }
+
+        let reserves;
+        try {
+            reserves = await readPoolReserves(provider, lookup, poolAddress, tokenAddress);
+        } catch (error) {
+            console.warn(`Could not read pool ${poolAddress}:`, error.message);
+            return null;
+        }
+
+        const { tokenReserve, quoteReserve, tokenIsToken0 } = reserves;
+        const quoteAmount = parseFloat(ethers.utils.formatUnits(quoteReserve, lookup.quote.decimals));
+        const price = await getQuotePriceInWeth(provider, chain, lookup.quote);
+
+        return {
+            dex: lookup.dex.name,
+            type: lookup.dex.type,
+            router: lookup.dex.router || null,
+            address: poolAddress,
+            quote: lookup.quote,
+            fee: lookup.fee,
+            stable: lookup.stable,
+            tokenIsToken0,
+            tokenReserve,
+            quoteReserve,
+            quoteAmount,
+            depthInWeth: quoteAmount * price
+        };
+    }));
+
+    return found
+        .filter(Boolean)
+        .sort((a, b) => b.depthInWeth - a.depthInWeth);
+}
+
+// Human-readable pool name, e.g. "Uniswap V3 0.3% WETH" or "Aerodrome stable USDC"
+export function describePool(pool) {
+    let variant = '';
+    if (pool.type === 'v3') {
+        variant = ` ${pool.fee / 10000}%`;
+    } else if (pool.type === 'solidly') {
+        variant = pool.stable ? ' stable' : ' volatile';
+    }
+    return `${pool.dex}${variant} ${pool.quote.symbol}`;
+}
+
+// Check that the token has a pool with liquidity somewhere
+export async function checkLiquidity(provider, chain, tokenAddress) {
+    const checks = [];
+    let riskScore = 0;
+    const native = chain.wrappedNative.symbol;
+
+    const pools = await discoverPools(provider, chain, tokenAddress);
+
+    if (pools.length === 0) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ No Liquidity Found',
+            description: `No pool found on ${chain.dexes.map(dex => dex.name).join(', ')} against ${chain.quoteTokens.map(q => q.symbol).join('/')}. Token might not be trading yet.`
+        });
+        riskScore += 10;
+        return { checks, riskScore, pools };
+    }
+
+    const poolDetails = pools.map(pool =>
+        `${describePool(pool)}: ${formatNumber(pool.quoteAmount)} ${pool.quote.symbol} (≈ ${pool.depthInWeth.toFixed(4)} ${native}) @ ${pool.address}`
+    );
+    const deepest = pools[0];
+
+    if (deepest.quoteReserve.isZero()) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Empty Liquidity Pool',
+            description: `Found ${pools.length} pool${pools.length === 1 ? '' : 's'}, but none hold any liquidity.`,
+            details: poolDetails
+        });
+        riskScore += 10;
+    } else {
+        checks.push({
+            type: 'success',
+            title: '✓ Liquidity Detected',
+            description: `Deepest pool: ${describePool(deepest)} with ≈ ${deepest.depthInWeth.toFixed(4)} ${native} of liquidity`,
+            details: poolDetails
+        });
+    }
+
+    return { checks, riskScore, pools };
+}
+
+// Addresses that received freshly minted LP tokens, i.e. whoever added liquidity, up to
+// the scan's latest block. Without a known deployment block only the recent window is read.
+export async function findLiquidityProviders(provider, chain, pairAddress, fromBlock, latestBlock) {
+    const filter = {
+        address: pairAddress,
+        topics: [TRANSFER_TOPIC, ethers.utils.hexZeroPad(ethers.constants.AddressZero, 32)]
+    };
+    const scanStart = fromBlock === null
+        ? Math.max(0, latestBlock - blocksFor(chain, LP_MINT_SCAN_SECONDS) + 1)
+        : fromBlock;
+
+    try {
+        const logs = await getLogsChunked(provider, filter, scanStart, latestBlock, chain.logChunkSize);
+
+        const recipients = logs
+            .map(log => topicToAddress(log.topics[2]))
+            .filter(address => !BURN_ADDRESSES.includes(address));
+        return [...new Set(recipients)].slice(0, 5);
+    } catch (error) {
+        console.warn('Could not read LP mint history:', error.message);
+        return [];
+    }
+}
+
+// Check how much of the LP supply is burned, locked or still withdrawable
+export async function checkLiquidityLock(provider, chain, pools, owner, tokenAddress, fromBlock, latestBlock) {
+    const checks = [];
+    let riskScore = 0;
+    let lock = null;
+    let providers = [];
+
+    // V3 positions are NFTs, so only V2-style LP tokens can be analyzed
+    const pool = pools.find(p => p.type !== 'v3' && !p.quoteReserve.isZero());
+    if (!pool) {
+        if (pools.length > 0) {
+            checks.push({
+                type: 'warning',
+                title: '⚠️ LP Lock Not Analyzed',
+                description: 'Liquidity sits in concentrated-liquidity (V3) positions, which cannot be checked for locks.'
+            });
+        }
+        return { checks, riskScore, lock, providers };
+    }
+
+    try {
+        const lpToken = new ethers.Contract(pool.address, ERC20_ABI, provider);
+        providers = await findLiquidityProviders(provider, chain, pool.address, fromBlock, latestBlock);
+
+        // Every address we know something about, labelled by what its LP balance means
+        const holders = [
+            { label: 'Zero address', address: ethers.constants.AddressZero, kind: 'burned' },
+            { label: 'Dead address', address: BURN_ADDRESSES[1], kind: 'burned' },
+            ...chain.lpLockers.map(locker => ({ label: `${locker.name} locker`, address: locker.address, kind: 'locked' })),
+            { label: 'Token contract', address: ethers.utils.getAddress(tokenAddress), kind: 'pullable' }
+        ];
+        if (owner && !BURN_ADDRESSES.includes(owner) && !holders.some(holder => holder.address === owner)) {
+            holders.push({ label: 'Owner', address: owner, kind: 'owner' });
+        }
+        providers
+            .filter(address => !holders.some(holder => holder.address === address))
+            .forEach(address => holders.push({ label: 'Liquidity provider', address, kind: 'owner' }));
+
+        const [totalSupply, ...balances] = await Promise.all([
+            lpToken.totalSupply(),
+            ...holders.map(holder => lpToken.balanceOf(holder.address))
+        ]);
+        holders.forEach((holder, i) => {
+            holder.balance = balances[i];
+        });
+
+        const sum = kind => holders
+            .filter(holder => holder.kind === kind)
+            .reduce((total, holder) => total.add(holder.balance), ethers.constants.Zero);
+
+        const burned = shareOf(sum('burned'), totalSupply);
+        const locked = shareOf(sum('locked'), totalSupply);
+        const ownerShare = shareOf(sum('owner'), totalSupply);
+        const pullable = Math.max(0, 100 - burned - locked);
+
+        lock = {
+            pool: pool.address,
+            totalSupply: totalSupply.toString(),
+            burned,
+            locked,
+            pullable,
+            ownerShare,
+            holders: holders
+                .filter(holder => !holder.balance.isZero())
+                .map(holder => ({
+                    label: holder.label,
+                    address: holder.address,
+                    balance: holder.balance.toString(),
+                    share: shareOf(holder.balance, totalSupply)
+                }))
+        };
+
+        const description = `Burned ${burned.toFixed(2)}% • Locked ${locked.toFixed(2)}% • Pullable ${pullable.toFixed(2)}% (owner/deployer ${ownerShare.toFixed(2)}%)`;
+        const details = lock.holders.map(holder => `${holder.label} ${holder.address}: ${holder.share.toFixed(2)}%`);
+
+        if (ownerShare >= 50) {
+            checks.push({
+                type: 'danger',
+                title: '🚨 Owner Can Pull Liquidity',
+                description,
+                details
+            });
+            riskScore += 30;
+        } else if (ownerShare >= 10) {
+            checks.push({
+                type: 'warning',
+                title: '⚠️ Owner Holds Unlocked LP',
+                description,
+                details
+            });
+            riskScore += 15;
+        } else if (pullable >= 50) {
+            checks.push({
+                type: 'warning',
+                title: '⚠️ Liquidity Mostly Unlocked',
+                description,
+                details
+            });
+            riskScore += 5;
+        } else {
+            checks.push({
+                type: 'success',
+                title: '✓ Liquidity Burned/Locked',
+                description,
+                details
+            });
+        }
+    } catch (error) {
+        console.error('LP lock check error:', error);
+        checks.push({
+            type: 'warning',
+            title: '⚠️ LP Lock Check Failed',
+            description: 'Could not read the LP token supply and holders.'
+        });
+    }
+
+    return { checks, riskScore, lock, providers };
+}
@@ -0,0 +1,66 @@
+// Event log helpers for RPCs that cap eth_getLogs ranges
+import { LOG_CHUNK_SIZE } from './config.js';
+import { findRpcUnavailable, throwIfCancelled } from './rpc.js';
+
+// eth_getLogs errors that mean "ask for less", as worded by common RPC providers
+function isLogRangeError(error) {
+    if (findRpcUnavailable(error)) {
+        return false;
+    }
+    const message = `${error.message || ''} ${error.body || ''}`;
+    return /range|limit|too many|too large|exceed|more than|response size|query timeout/i.test(message);
+}
+
+// Fetch logs for a block range, halving the range whenever the RPC rejects it as too large
+async function getLogsInRange(provider, filter, fromBlock, toBlock) {
+    try {
+        return await provider.getLogs({ ...filter, fromBlock, toBlock });
+    } catch (error) {
+        if (toBlock <= fromBlock || !isLogRangeError(error)) {
+            throw error;
+        }
+
+        const middle = Math.floor((fromBlock + toBlock) / 2);
+        const left = await getLogsInRange(provider, filter, fromBlock, middle);
+        const right = await getLogsInRange(provider, filter, middle + 1, toBlock);
+        return left.concat(right);
+    }
+}
+
+// Fetch logs over a long block range in `chunkSize` pieces
+export async function getLogsChunked(provider, filter, fromBlock, toBlock, chunkSize = LOG_CHUNK_SIZE) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+        throwIfCancelled(provider);
+        const end = Math.min(start + chunkSize - 1, toBlock);
+        logs.push(...await getLogsInRange(provider, filter, start, end));
+    }
+    return logs;
+}
+
+// Binary-search the first block where `address` has code.
+// Needs historical state; returns null when the RPC can't serve it.
+export async function findCreationBlock(provider, address, latestBlock) {
+    try {
+        let low = 0;
+        let high = latestBlock;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const code = await provider.getCode(address, middle);
+            if (code === '0x') {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    } catch (error) {
+        console.warn('Could not locate deployment block:', error.message);
+        return null;
+    }
+}
+
+// Decode an indexed address topic
+export function topicToAddress(topic) {
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12));
+}
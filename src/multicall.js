@@ -0,0 +1,127 @@
+// Call batching: eth_calls issued within a few milliseconds of each other go out
+// together, as one Multicall3 aggregate3 call or, where Multicall3 isn't deployed,
+// as one JSON-RPC batch
+import { MULTICALL3_ADDRESS, MULTICALL_BATCH_LIMIT, MULTICALL_BATCH_WAIT } from './config.js';
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+// Only calls that behave the same from inside Multicall3 can be batched:
+// no sender, value or gas settings, and no state overrides
+export function isBatchableCall(params) {
+    const [transaction] = params;
+    return params.length <= 2 &&
+        Boolean(transaction && transaction.to) &&
+        Object.keys(transaction).every(key => key === 'to' || key === 'data');
+}
+
+// A failed sub-call, shaped like a node's revert so ethers decodes it the same way
+function revertError(returnData) {
+    const error = new Error('execution reverted');
+    error.code = 3;
+    error.data = returnData;
+    return error;
+}
+
+// `provider` is a FailoverProvider: its request() and requestBatch() send with failover
+export function createCallBatcher(provider) {
+    let queue = [];
+    let timer = null;
+    let multicallDeployed = null;
+
+    // Looked up once; a failed lookup is retried with the next batch
+    const hasMulticall = () => {
+        if (!multicallDeployed) {
+            multicallDeployed = provider.request('eth_getCode', [MULTICALL3_ADDRESS, 'latest']).then(
+                code => code !== '0x',
+                () => {
+                    multicallDeployed = null;
+                    return false;
+                }
+            );
+        }
+        return multicallDeployed;
+    };
+
+    // One { result } or { error } per call
+    const sendAggregate = async (calls, blockTag) => {
+        const data = multicallInterface.encodeFunctionData('aggregate3', [calls.map(call => ({
+            target: call.transaction.to,
+            allowFailure: true,
+            callData: call.transaction.data || '0x'
+        }))]);
+        const raw = await provider.request('eth_call', [{ to: MULTICALL3_ADDRESS, data }, blockTag]);
+        const [results] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+        return results.map(({ success, returnData }) => (success ? { result: returnData } : { error: revertError(returnData) }));
+    };
+
+    const sendOneByOne = calls => Promise.all(calls.map(call =>
+        provider.request('eth_call', [call.transaction, call.blockTag]).then(result => ({ result }), error => ({ error }))
+    ));
+
+    const sendGroup = async (calls, blockTag) => {
+        if (calls.length === 1) {
+            return sendOneByOne(calls);
+        }
+
+        if (await hasMulticall()) {
+            try {
+                return await sendAggregate(calls, blockTag);
+            } catch (error) {
+                // Out of gas, or a block from before Multicall3 was deployed
+                console.warn('Multicall3 batch failed, falling back to a JSON-RPC batch:', error.message);
+            }
+        }
+
+        try {
+            return await provider.requestBatch(calls.map(call => ({ method: 'eth_call', params: [call.transaction, blockTag] })));
+        } catch {
+            return sendOneByOne(calls);
+        }
+    };
+
+    const flush = () => {
+        const pending = queue;
+        queue = [];
+        timer = null;
+
+        const groups = new Map();
+        pending.forEach(call => {
+            if (!groups.has(call.blockTag)) {
+                groups.set(call.blockTag, []);
+            }
+            groups.get(call.blockTag).push(call);
+        });
+
+        groups.forEach((calls, blockTag) => {
+            for (let start = 0; start < calls.length; start += MULTICALL_BATCH_LIMIT) {
+                const chunk = calls.slice(start, start + MULTICALL_BATCH_LIMIT);
+                sendGroup(chunk, blockTag).then(
+                    outcomes => outcomes.forEach((outcome, index) => {
+                        if (outcome.error) {
+                            chunk[index].reject(outcome.error);
+                        } else {
+                            chunk[index].resolve(outcome.result);
+                        }
+                    }),
+                    error => chunk.forEach(call => call.reject(error))
+                );
+            }
+        });
+    };
+
+    return {
+        // Queue an eth_call; resolves to its return data like a direct eth_call would
+        call(transaction, blockTag = 'latest') {
+            return new Promise((resolve, reject) => {
+                queue.push({ transaction, blockTag, resolve, reject });
+                if (!timer) {
+                    timer = setTimeout(flush, MULTICALL_BATCH_WAIT);
+                }
+            });
+        }
+    };
+}
@@ -0,0 +1,4 @@
+// Node entry point
+import './install-ethers.js';
+
+export * from './index.js';
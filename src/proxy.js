@@ -0,0 +1,217 @@
+// Proxy detection - follows proxy hops to the implementation and finds who can upgrade it
+import { OWNABLE_ABI, BURN_ADDRESSES } from './config.js';
+
+// Standard proxy storage slots
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+const EIP1822_PROXIABLE_SLOT = '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7';
+const ZEPPELINOS_IMPLEMENTATION_SLOT = '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3';
+
+// EIP-1167 minimal proxy runtime code, with the implementation address in the middle
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+// Proxies pointing at proxies are followed at most this many hops
+const MAX_PROXY_DEPTH = 4;
+
+const BEACON_ABI = [
+    'function implementation() view returns (address)'
+];
+
+// Read an address stored in a storage slot (zero address when unset)
+async function readAddressSlot(provider, address, slot) {
+    const value = await provider.getStorageAt(address, slot);
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(value, 12));
+}
+
+// Call owner() on a contract, null when it has none
+export async function readOwner(provider, address) {
+    try {
+        return await new ethers.Contract(address, OWNABLE_ABI, provider).owner();
+    } catch {
+        return null;
+    }
+}
+
+// Identify one proxy hop: which standard it follows, where it points and who can upgrade it
+export async function detectProxy(provider, address, code) {
+    const minimal = code.match(EIP1167_PATTERN);
+    if (minimal) {
+        return {
+            address,
+            kind: 'EIP-1167 minimal proxy',
+            implementation: ethers.utils.getAddress('0x' + minimal[1]),
+            admin: null,
+            upgradeable: false
+        };
+    }
+
+    const [implementation, admin, beacon, proxiable, legacy] = await Promise.all([
+        readAddressSlot(provider, address, EIP1967_IMPLEMENTATION_SLOT),
+        readAddressSlot(provider, address, EIP1967_ADMIN_SLOT),
+        readAddressSlot(provider, address, EIP1967_BEACON_SLOT),
+        readAddressSlot(provider, address, EIP1822_PROXIABLE_SLOT),
+        readAddressSlot(provider, address, ZEPPELINOS_IMPLEMENTATION_SLOT)
+    ]);
+
+    if (beacon !== ethers.constants.AddressZero) {
+        const beaconContract = new ethers.Contract(beacon, BEACON_ABI, provider);
+        return {
+            address,
+            kind: 'EIP-1967 beacon proxy',
+            implementation: await beaconContract.implementation(),
+            beacon,
+            // Whoever owns the beacon upgrades every proxy behind it
+            admin: await readOwner(provider, beacon),
+            upgradeable: true
+        };
+    }
+
+    if (implementation !== ethers.constants.AddressZero) {
+        const hasAdmin = admin !== ethers.constants.AddressZero;
+        return {
+            address,
+            kind: hasAdmin ? 'EIP-1967 transparent proxy' : 'EIP-1967 proxy (UUPS)',
+            implementation,
+            // UUPS proxies have no admin slot - upgrades are authorized by the token owner
+            admin: hasAdmin ? admin : await readOwner(provider, address),
+            upgradeable: true
+        };
+    }
+
+    if (proxiable !== ethers.constants.AddressZero) {
+        return {
+            address,
+            kind: 'EIP-1822 UUPS proxy',
+            implementation: proxiable,
+            admin: await readOwner(provider, address),
+            upgradeable: true
+        };
+    }
+
+    if (legacy !== ethers.constants.AddressZero) {
+        return {
+            address,
+            kind: 'ZeppelinOS proxy',
+            implementation: legacy,
+            admin: await readOwner(provider, address),
+            upgradeable: true
+        };
+    }
+
+    return null;
+}
+
+// Follow a chain of proxies down to the implementation
+export async function resolveProxy(provider, address, code) {
+    const chain = [];
+    let currentAddress = address;
+    let currentCode = code;
+
+    for (let depth = 0; depth < MAX_PROXY_DEPTH; depth++) {
+        const hop = await detectProxy(provider, currentAddress, currentCode);
+        if (!hop) break;
+
+        chain.push(hop);
+        currentAddress = hop.implementation;
+        currentCode = await provider.getCode(currentAddress);
+        if (currentCode === '0x') {
+            throw new Error(`Proxy implementation ${currentAddress} has no code`);
+        }
+    }
+
+    if (chain.length === 0) {
+        return null;
+    }
+
+    return {
+        chain,
+        implementation: currentAddress,
+        implementationCode: currentCode
+    };
+}
+
+// Resolve the upgrade authority behind an admin address.
+// A ProxyAdmin contract is itself owned by the account that really controls upgrades.
+async function resolveUpgradeAuthority(provider, admin) {
+    if (!admin) {
+        return { admin, controller: null };
+    }
+
+    const adminCode = await provider.getCode(admin);
+    if (adminCode !== '0x') {
+        const adminOwner = await readOwner(provider, admin);
+        if (adminOwner) {
+            return { admin, controller: adminOwner };
+        }
+    }
+
+    return { admin, controller: admin };
+}
+
+// Check proxy structure and who can replace the token logic
+export async function checkProxy(provider, address, code) {
+    const checks = [];
+    let riskScore = 0;
+    let proxy = null;
+
+    try {
+        proxy = await resolveProxy(provider, address, code);
+        if (!proxy) {
+            return { checks, riskScore, proxy };
+        }
+
+        const chainDetails = proxy.chain.map(hop =>
+            `${hop.kind}: ${hop.address} → ${hop.implementation}`
+        );
+
+        checks.push({
+            type: 'success',
+            title: 'ℹ️ Proxy Resolved',
+            description: `Analyzing implementation ${proxy.implementation.slice(0, 6)}...${proxy.implementation.slice(-4)} behind ${proxy.chain.length} proxy hop${proxy.chain.length === 1 ? '' : 's'}`,
+            details: chainDetails
+        });
+
+        // Any upgradeable hop means the logic can be swapped out from under every other check
+        const upgradeableHops = proxy.chain.filter(hop => hop.upgradeable);
+        for (const hop of upgradeableHops) {
+            const authority = await resolveUpgradeAuthority(provider, hop.admin);
+            hop.upgradeController = authority.controller;
+
+            const renounced = authority.controller !== null && BURN_ADDRESSES.includes(authority.controller);
+            const adminDetails = [`Admin: ${hop.admin || 'unknown'}`];
+            if (authority.controller && authority.controller !== hop.admin) {
+                adminDetails.push(`Admin contract owned by: ${authority.controller}`);
+            }
+
+            if (renounced) {
+                checks.push({
+                    type: 'success',
+                    title: '✓ Upgrades Renounced',
+                    description: `${hop.kind} can no longer be upgraded`,
+                    details: adminDetails
+                });
+            } else {
+                checks.push({
+                    type: 'danger',
+                    title: '🚨 Upgradeable by Admin',
+                    description: `${hop.kind} can be upgraded by a non-renounced admin - the token logic (and every other check here) can change at any time`,
+                    details: adminDetails
+                });
+                riskScore += 25;
+            }
+        }
+
+        proxy.admin = upgradeableHops.length > 0 ? upgradeableHops[0].upgradeController : null;
+    } catch (error) {
+        console.error('Proxy resolution error:', error);
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Proxy Resolution Failed',
+            description: 'Could not follow the proxy to its implementation; analyzing the proxy code itself.'
+        });
+        proxy = null;
+    }
+
+    return { checks, riskScore, proxy };
+}
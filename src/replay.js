@@ -0,0 +1,164 @@
+// Record and replay: a provider that captures every JSON-RPC request of a scan, pinned to
+// one block, and a provider that answers the same requests from the capture with no network.
+// A scan replayed from a fixture makes the same requests and gets the same answers, so its
+// verdict only changes when the checks or the scoring do.
+import { FailoverProvider, classifyRpcError, RPC_UNAVAILABLE } from './rpc.js';
+
+const FIXTURE_VERSION = 1;
+
+// Block tags that move; they are replaced by the pinned block number
+const MOVING_TAGS = ['latest', 'pending'];
+
+// Stable JSON for request lookup: object keys sorted at every level
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function requestKey(method, params) {
+    return `${method}:${canonicalJson(params)}`;
+}
+
+// Replace moving block tags anywhere in the params (eth_call's block argument,
+// getLogs' toBlock) with the pinned block
+function pinParams(value, blockTag) {
+    if (Array.isArray(value)) {
+        return value.map(item => pinParams(item, blockTag));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, pinParams(item, blockTag)]));
+    }
+    return MOVING_TAGS.includes(value) ? blockTag : value;
+}
+
+// Records every request made through it. Requests go out one by one instead of through
+// Multicall3, since how concurrent calls get grouped depends on timing. The block is read
+// once when the first request goes out, unless `blockNumber` pins an earlier one; state at
+// that block must stay available for the whole scan (an archive endpoint, or a short scan).
+export class RecordingProvider extends FailoverProvider {
+    constructor(urls, network, { blockNumber = null } = {}) {
+        super(urls, network);
+        this.pinnedBlock = blockNumber === null ? null : Promise.resolve(blockNumber);
+        this.recorded = new Map();
+    }
+
+    getPinnedBlock() {
+        if (!this.pinnedBlock) {
+            this.pinnedBlock = super.request('eth_blockNumber', []).then(hex => ethers.BigNumber.from(hex).toNumber());
+            this.pinnedBlock.catch(() => {
+                this.pinnedBlock = null;
+            });
+        }
+        return this.pinnedBlock;
+    }
+
+    send(method, params) {
+        return this.request(method, params);
+    }
+
+    async request(method, params) {
+        const blockNumber = await this.getPinnedBlock();
+        const blockTag = ethers.utils.hexValue(blockNumber);
+        if (method === 'eth_blockNumber') {
+            return blockTag;
+        }
+
+        const pinned = pinParams(params, blockTag);
+        try {
+            const result = await super.request(method, pinned);
+            this.recorded.set(requestKey(method, pinned), { method, params: pinned, result });
+            return result;
+        } catch (error) {
+            // Reverts and refusals are part of the answer; outages are not recorded
+            if (['revert', 'rejected'].includes(classifyRpcError(error))) {
+                const { code, message, data } = error.error || error;
+                this.recorded.set(requestKey(method, pinned), { method, params: pinned, error: { code, message, data } });
+            }
+            throw error;
+        }
+    }
+
+    // Everything recorded so far, as a JSON-serializable fixture for ReplayProvider
+    async toFixture() {
+        const network = await this.getNetwork();
+        return {
+            version: FIXTURE_VERSION,
+            chainId: network.chainId,
+            blockNumber: await this.getPinnedBlock(),
+            recordedAt: new Date().toISOString(),
+            requests: [...this.recorded.values()]
+        };
+    }
+}
+
+// Validate a fixture written by RecordingProvider.toFixture (or loaded from its JSON)
+export function parseFixture(json) {
+    const input = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!input || typeof input !== 'object' || input.version !== FIXTURE_VERSION) {
+        throw new Error(`Not a version ${FIXTURE_VERSION} recording`);
+    }
+    if (!Number.isInteger(input.chainId) || !Number.isInteger(input.blockNumber)) {
+        throw new Error('Recording needs numeric "chainId" and "blockNumber"');
+    }
+    if (!Array.isArray(input.requests) || !input.requests.every(entry => entry && typeof entry.method === 'string' && Array.isArray(entry.params))) {
+        throw new Error('Recording needs a "requests" array of { method, params, result | error }');
+    }
+    return input;
+}
+
+// Answers from a fixture. A request the recording doesn't have fails as an RPC outage
+// (RPC_UNAVAILABLE), which aborts the scan: a check that now asks for something new must
+// not turn the missing answer into a revert and quietly change the verdict.
+export class ReplayProvider extends FailoverProvider {
+    constructor(fixture) {
+        const recording = parseFixture(fixture);
+        super(['replay:'], recording.chainId);
+        this.recording = recording;
+        this.blockTag = ethers.utils.hexValue(recording.blockNumber);
+        this.responses = new Map(recording.requests.map(entry => [requestKey(entry.method, entry.params), entry]));
+        this.misses = [];
+    }
+
+    send(method, params) {
+        return this.request(method, params);
+    }
+
+    async request(method, params) {
+        if (method === 'eth_blockNumber') {
+            return this.blockTag;
+        }
+
+        const pinned = pinParams(params, this.blockTag);
+        const entry = this.responses.get(requestKey(method, pinned));
+        if (!entry) {
+            this.misses.push({ method, params: pinned });
+            const error = new Error(`${method} was not recorded - the recording at block ${this.recording.blockNumber} cannot answer it`);
+            error.code = RPC_UNAVAILABLE;
+            this.lastOutage = { error, at: Date.now() };
+            throw error;
+        }
+        if (entry.error) {
+            // Shaped like the error ethers' fetchJson throws for a JSON-RPC error response
+            const error = new Error(entry.error.message);
+            error.code = entry.error.code;
+            error.data = entry.error.data;
+            throw ethers.logger.makeError('processing response error', ethers.errors.SERVER_ERROR, {
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: entry.error }),
+                error,
+                requestBody: JSON.stringify({ method, params: pinned }),
+                url: 'replay:'
+            });
+        }
+        return entry.result;
+    }
+
+    // Shown instead of an endpoint in reports
+    describeRpc() {
+        return `replay of block ${this.recording.blockNumber}`;
+    }
+}
@@ -0,0 +1,149 @@
+// Shareable reports of an analyzeToken result: everything the results card shows,
+// plus each check's raw evidence, as Markdown or a self-contained HTML page
+import { CHAINS, explorerAddressUrl } from './chains.js';
+
+// Rows of the summary table, as [label, text, link]
+function summaryRows(results, permalink) {
+    const chain = CHAINS[results.chain.id];
+    const { thresholds } = results.profile;
+    const rows = [
+        ['Token', results.tokenInfo.name ? `${results.tokenInfo.name} (${results.tokenInfo.symbol})` : 'Unknown'],
+        ['Address', results.address, chain ? explorerAddressUrl(chain, results.address) : null],
+        ['Chain', `${results.chain.name} (${results.chain.chainId})`],
+        ['Block', String(results.blockNumber)],
+        ['Scanned', results.timestamp],
+        ['RPC', results.rpc || 'unknown'],
+        ['Profile', `${results.profile.label} (medium risk from ${thresholds.warning}, high risk from ${thresholds.danger})`],
+        ['Risk', `${results.riskLevel.label} - score ${results.riskScore}`]
+    ];
+    if (results.creationBlock !== null && results.creationBlock !== undefined) {
+        rows.splice(4, 0, ['Deployed in block', String(results.creationBlock)]);
+    }
+    if (permalink) {
+        rows.push(['Permalink', permalink, permalink]);
+    }
+    return rows;
+}
+
+function describePoints(contribution) {
+    return contribution.status === 'ok' ? String(contribution.points) : contribution.status;
+}
+
+// Each check with its findings and evidence, in run order
+function checkSections(results) {
+    return results.contributions.map(contribution => ({
+        contribution,
+        findings: results.checks.filter(check => check.checkId === contribution.id),
+        evidence: results.evidence[contribution.id]
+    }));
+}
+
+function reportTitle(results) {
+    return `Honeypot Check: ${results.tokenInfo.symbol || results.address}`;
+}
+
+function escapeMarkdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// `permalink`, when given, links back to a live re-scan of the token
+export function formatReportMarkdown(results, { permalink = null } = {}) {
+    const lines = [`# ${reportTitle(results)}`, '', '| | |', '|---|---|'];
+    summaryRows(results, permalink).forEach(([label, text, link]) => {
+        lines.push(`| ${label} | ${link ? `[${escapeMarkdownCell(text)}](${link})` : escapeMarkdownCell(text)} |`);
+    });
+
+    lines.push('', '## Score Breakdown', '', '| Check | Category | Raw | Weight | Points |', '|---|---|---|---|---|');
+    results.contributions.forEach(contribution => {
+        lines.push(`| ${escapeMarkdownCell(contribution.name)} | ${contribution.category} | ${contribution.rawScore} | x${contribution.weight} | ${describePoints(contribution)} |`);
+    });
+
+    lines.push('', '## Checks');
+    checkSections(results).forEach(({ contribution, findings, evidence }) => {
+        lines.push('', `### ${contribution.name}`, '');
+        lines.push(`Status: ${contribution.status}${contribution.error ? ` - ${contribution.error}` : ''} • ${contribution.points} points • ${contribution.duration} ms`);
+        if (findings.length > 0) {
+            lines.push('');
+            findings.forEach(finding => {
+                lines.push(`- **[${finding.type}] ${finding.title}** - ${finding.description}`);
+                (finding.details || []).forEach(detail => lines.push(`  - \`${detail}\``));
+            });
+        }
+        if (evidence !== undefined && evidence !== null) {
+            lines.push('', '```json', JSON.stringify(evidence, null, 2), '```');
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const REPORT_STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.75rem; text-align: left; vertical-align: top; }
+pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; font-size: 0.8rem; }
+.finding { margin: 0.5rem 0; padding: 0.5rem 0.75rem; border-left: 4px solid #1a7f37; background: #f6f8fa; }
+.finding.warning { border-color: #bf8700; }
+.finding.danger { border-color: #cf222e; }
+.detail { font-family: monospace; font-size: 0.8rem; color: #59636e; word-break: break-all; }
+.risk.safe { color: #1a7f37; } .risk.warning { color: #bf8700; } .risk.danger { color: #cf222e; }`;
+
+export function formatReportHtml(results, { permalink = null } = {}) {
+    const summary = summaryRows(results, permalink).map(([label, text, link]) => {
+        const value = link ? `<a href="${escapeHtml(link)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+        const className = label === 'Risk' ? ` class="risk ${results.riskLevel.level}"` : '';
+        return `<tr><th>${escapeHtml(label)}</th><td${className}>${value}</td></tr>`;
+    }).join('\n');
+
+    const breakdown = results.contributions.map(contribution => `<tr>${[
+        contribution.name,
+        contribution.category,
+        contribution.rawScore,
+        `x${contribution.weight}`,
+        describePoints(contribution)
+    ].map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+
+    const sections = checkSections(results).map(({ contribution, findings, evidence }) => {
+        const status = `Status: ${contribution.status}${contribution.error ? ` - ${contribution.error}` : ''} • ${contribution.points} points • ${contribution.duration} ms`;
+        const items = findings.map(finding => `<div class="finding ${escapeHtml(finding.type)}">
+<strong>${escapeHtml(finding.title)}</strong><br>${escapeHtml(finding.description)}
+${(finding.details || []).map(detail => `<div class="detail">${escapeHtml(detail)}</div>`).join('\n')}
+</div>`).join('\n');
+        const evidenceBlock = evidence !== undefined && evidence !== null
+            ? `<pre>${escapeHtml(JSON.stringify(evidence, null, 2))}</pre>`
+            : '';
+        return `<h3>${escapeHtml(contribution.name)}</h3>\n<p>${escapeHtml(status)}</p>\n${items}\n${evidenceBlock}`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(reportTitle(results))}</title>
+<style>${REPORT_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(reportTitle(results))}</h1>
+<table>
+${summary}
+</table>
+<h2>Score Breakdown</h2>
+<table>
+<tr><th>Check</th><th>Category</th><th>Raw</th><th>Weight</th><th>Points</th></tr>
+${breakdown}
+</table>
+<h2>Checks</h2>
+${sections}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,347 @@
+// Multi-endpoint JSON-RPC provider. Every request is retried and failed over across
+// the endpoints, tried in order of their observed latency and error rate.
+import { RPC_REQUEST_TIMEOUT, RPC_MAX_ROUNDS, RPC_BACKOFF_MS } from './config.js';
+import { createCallBatcher, isBatchableCall } from './multicall.js';
+
+// Error code of a request that no endpoint could serve
+export const RPC_UNAVAILABLE = 'RPC_UNAVAILABLE';
+
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|throttl|requests? per (second|minute)|exceeded .*(quota|capacity|compute units)/i;
+const REVERT_PATTERN = /revert|vm exception|invalid opcode|out of gas|stack (underflow|overflow)|invalid jump/i;
+
+// Latency (ms) assumed for an endpoint that has not answered yet
+const UNTESTED_LATENCY = 1000;
+
+// What went wrong with a request to one endpoint:
+//   'revert'     - the node executed the call and it failed; the answer is final
+//   'rejected'   - the node refused the request itself (unsupported method or params,
+//                  log range too large); another endpoint may accept it
+//   'rate-limit' - the endpoint is throttling us
+//   'network'    - timeout, HTTP error or no response
+export function classifyRpcError(error) {
+    const rpcError = error.error && typeof error.error.code === 'number' ? error.error : null;
+    const text = [error.message, error.body, rpcError && rpcError.message].filter(Boolean).join(' ');
+
+    // Checked first: a token's own revert reason may well mention a rate limit
+    if (rpcError && (rpcError.code === 3 || REVERT_PATTERN.test(rpcError.message) || ethers.utils.isHexString(rpcError.data))) {
+        return 'revert';
+    }
+    if (error.status === 429 || RATE_LIMIT_PATTERN.test(text)) {
+        return 'rate-limit';
+    }
+    return rpcError ? 'rejected' : 'network';
+}
+
+// Unwrap the JSON-RPC payload the way JsonRpcProvider does, so ethers can still
+// find revert data in the errors we pass on
+function getResult(payload) {
+    if (payload.error) {
+        const error = new Error(payload.error.message);
+        error.code = payload.error.code;
+        error.data = payload.error.data;
+        throw error;
+    }
+    return payload.result;
+}
+
+// 429s are reported straight away rather than retried in place
+function connectionFor(url) {
+    return { url, timeout: RPC_REQUEST_TIMEOUT, throttleCallback: async () => false };
+}
+
+// Post one request to one endpoint
+function postRequest(url, method, params, id) {
+    return ethers.utils.fetchJson(connectionFor(url), JSON.stringify({ method, params, id, jsonrpc: '2.0' }), getResult);
+}
+
+// Post a JSON-RPC batch to one endpoint. Resolves to one { result } or { error }
+// per request, in request order; endpoints without batch support are rejected.
+function postBatch(url, requests) {
+    return ethers.utils.fetchJson(connectionFor(url), JSON.stringify(requests), payload => {
+        if (!Array.isArray(payload)) {
+            const error = new Error(payload.error ? payload.error.message : 'JSON-RPC batches are not supported');
+            error.code = payload.error ? payload.error.code : -32600;
+            throw error;
+        }
+        const byId = new Map(payload.map(response => [response.id, response]));
+        return requests.map(request => byId.get(request.id) || { error: { code: -32603, message: 'Missing batch response' } });
+    });
+}
+
+// Ask an endpoint for its chain id, e.g. before accepting a user-supplied URL
+export async function probeEndpoint(url) {
+    const startedAt = Date.now();
+    const chainId = await postRequest(url, 'eth_chainId', [], 1);
+    return { chainId: ethers.BigNumber.from(chainId).toNumber(), latency: Date.now() - startedAt };
+}
+
+function createEndpoint(url) {
+    return {
+        url,
+        calls: 0,
+        failures: 0,
+        rateLimits: 0,
+        consecutiveFailures: 0,
+        latency: null,
+        lastError: null,
+        cooldownUntil: 0
+    };
+}
+
+function errorRate(endpoint) {
+    return endpoint.calls === 0 ? 0 : endpoint.failures / endpoint.calls;
+}
+
+// Lower is better: slow or failing endpoints are pushed back, cooling-down ones go last
+function rankScore(endpoint, now) {
+    const cooling = endpoint.cooldownUntil > now ? 1e9 : 0;
+    return cooling + (endpoint.latency ?? UNTESTED_LATENCY) * (1 + 4 * errorRate(endpoint));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+    constructor(urls, network) {
+        if (!urls || urls.length === 0) {
+            throw new Error('FailoverProvider needs at least one RPC URL');
+        }
+        super(urls[0], network);
+        this.endpoints = urls.map(createEndpoint);
+        this.lastEndpoint = null;
+        this.failovers = 0;
+        this.lastOutage = null;
+        this.signal = null;
+        this.requestId = 1;
+        this.callBatcher = createCallBatcher(this);
+    }
+
+    // A provider for one job on the same endpoints: it shares their statistics, but its
+    // outages and failovers are its own, and once `signal` aborts it stops sending
+    fork(signal) {
+        const fork = new FailoverProvider(this.endpoints.map(endpoint => endpoint.url), this._network);
+        fork.endpoints = this.endpoints;
+        fork.signal = signal;
+        return fork;
+    }
+
+    // Replace the endpoint list, keeping the statistics of endpoints that stay
+    setEndpoints(urls) {
+        if (urls.length === 0) {
+            throw new Error('FailoverProvider needs at least one RPC URL');
+        }
+        const known = new Map(this.endpoints.map(endpoint => [endpoint.url, endpoint]));
+        this.endpoints = urls.map(url => known.get(url) || createEndpoint(url));
+    }
+
+    // Latency, error rate and status of every endpoint, in configured order
+    getEndpointHealth() {
+        const now = Date.now();
+        return this.endpoints.map(endpoint => {
+            let status = 'healthy';
+            if (endpoint.calls === 0) {
+                status = 'untested';
+            } else if (endpoint.cooldownUntil > now || endpoint.consecutiveFailures >= 3) {
+                status = 'down';
+            } else if (errorRate(endpoint) > 0.2 || endpoint.latency > 2000) {
+                status = 'degraded';
+            }
+
+            return {
+                url: endpoint.url,
+                status,
+                calls: endpoint.calls,
+                failures: endpoint.failures,
+                rateLimits: endpoint.rateLimits,
+                errorRate: errorRate(endpoint),
+                latency: endpoint.latency === null ? null : Math.round(endpoint.latency),
+                lastError: endpoint.lastError,
+                active: endpoint === this.lastEndpoint
+            };
+        });
+    }
+
+    // Health of the endpoint that answered the latest request
+    getActiveEndpoint() {
+        return this.getEndpointHealth().find(health => health.active) || null;
+    }
+
+    recordAnswer(endpoint, duration) {
+        endpoint.calls++;
+        endpoint.consecutiveFailures = 0;
+        endpoint.latency = endpoint.latency === null ? duration : endpoint.latency * 0.8 + duration * 0.2;
+        this.lastEndpoint = endpoint;
+    }
+
+    recordFailure(endpoint, kind, error) {
+        endpoint.calls++;
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        if (kind === 'rate-limit') {
+            endpoint.rateLimits++;
+        }
+        endpoint.lastError = error.message;
+        endpoint.cooldownUntil = Date.now() + RPC_BACKOFF_MS * 2 ** Math.min(endpoint.consecutiveFailures - 1, 5);
+    }
+
+    // Plain eth_calls issued together are coalesced into one Multicall3 call (see multicall.js)
+    send(method, params) {
+        if (method === 'eth_call' && isBatchableCall(params)) {
+            return this.callBatcher.call(params[0], params[1]);
+        }
+        return this.request(method, params);
+    }
+
+    // Send one request, with failover
+    request(method, params) {
+        return this.withFailover(method, url => postRequest(url, method, params, this.requestId++));
+    }
+
+    // Send several requests as one JSON-RPC batch, with failover. Resolves to one
+    // { result } or { error } per call; calls the batch answer doesn't settle
+    // (throttled, dropped) are retried on their own.
+    async requestBatch(calls) {
+        const responses = await this.withFailover('batch', url => postBatch(url, calls.map(({ method, params }) => ({
+            method,
+            params,
+            id: this.requestId++,
+            jsonrpc: '2.0'
+        }))));
+
+        return Promise.all(responses.map(async (response, index) => {
+            if (!response.error) {
+                return { result: response.result };
+            }
+            const error = new Error(response.error.message);
+            error.code = response.error.code;
+            error.data = response.error.data;
+            if (classifyRpcError({ error }) === 'revert') {
+                return { error };
+            }
+            try {
+                return { result: await this.request(calls[index].method, calls[index].params) };
+            } catch (retryError) {
+                return { error: retryError };
+            }
+        }));
+    }
+
+    // Try endpoints best-first. A revert is returned as-is; rate limits and network
+    // failures move on to the next endpoint, and after a full pass we back off and retry.
+    // A forked provider whose job was cancelled rejects with the signal's reason instead.
+    async withFailover(method, post) {
+        let lastFailure = null;
+
+        for (let round = 0; round < RPC_MAX_ROUNDS; round++) {
+            if (round > 0) {
+                await sleep(RPC_BACKOFF_MS * 2 ** (round - 1));
+            }
+
+            const now = Date.now();
+            const ranked = [...this.endpoints].sort((a, b) => rankScore(a, now) - rankScore(b, now));
+            let rejection = null;
+
+            for (const [attempt, endpoint] of ranked.entries()) {
+                throwIfCancelled(this);
+                const startedAt = Date.now();
+                try {
+                    const result = await post(endpoint.url);
+                    this.recordAnswer(endpoint, Date.now() - startedAt);
+                    if (attempt > 0 || round > 0) {
+                        this.failovers++;
+                    }
+                    return result;
+                } catch (error) {
+                    const kind = classifyRpcError(error);
+                    if (kind === 'revert') {
+                        this.recordAnswer(endpoint, Date.now() - startedAt);
+                        throw error;
+                    }
+                    if (kind === 'rejected') {
+                        this.recordAnswer(endpoint, Date.now() - startedAt);
+                        rejection = rejection || error;
+                        continue;
+                    }
+                    this.recordFailure(endpoint, kind, error);
+                    lastFailure = { kind, error };
+                }
+            }
+
+            // Every endpoint that answered refused the request; asking again won't change that
+            if (rejection) {
+                throw rejection;
+            }
+        }
+
+        const reason = lastFailure.kind === 'rate-limit'
+            ? 'are rate limiting requests'
+            : `failed (${lastFailure.error.code === 'TIMEOUT' ? 'timeout' : lastFailure.error.message.split(' (')[0]})`;
+        const error = new Error(`All RPC endpoints ${reason} - ${method} could not be served`);
+        error.code = RPC_UNAVAILABLE;
+        error.rateLimited = lastFailure.kind === 'rate-limit';
+        error.error = lastFailure.error;
+        this.lastOutage = { error, at: Date.now() };
+        throw error;
+    }
+
+    // ethers reports a failed chain id lookup as "could not detect network"; say why
+    async detectNetwork() {
+        const startedAt = Date.now();
+        try {
+            return await super.detectNetwork();
+        } catch (error) {
+            throw this.lastOutage && this.lastOutage.at >= startedAt ? this.lastOutage.error : error;
+        }
+    }
+
+    // ethers turns any failed eth_call into a CALL_EXCEPTION ("reverted without a reason");
+    // keep RPC outages distinguishable from reverts
+    async perform(method, params) {
+        try {
+            return await super.perform(method, params);
+        } catch (error) {
+            throw findRpcUnavailable(error) || error;
+        }
+    }
+}
+
+// The endpoint that served a provider's latest request, for reports. Endpoints outside
+// the chain's public list are cut down to their origin: a private endpoint's path
+// usually carries an API key. Providers without endpoints (replay.js) describe themselves.
+export function describeRpc(provider, chain) {
+    if (typeof provider.describeRpc === 'function') {
+        return provider.describeRpc();
+    }
+    const endpoint = provider instanceof FailoverProvider ? provider.getActiveEndpoint() : null;
+    const url = endpoint ? endpoint.url : provider.connection && provider.connection.url;
+    if (!url) {
+        return null;
+    }
+    if (chain.rpcUrls.includes(url)) {
+        return url;
+    }
+    try {
+        const { origin, pathname } = new URL(url);
+        return pathname === '/' ? origin : `${origin}/…`;
+    } catch {
+        return null;
+    }
+}
+
+// Stop a long run of requests once the provider's job is cancelled (see FailoverProvider.fork)
+export function throwIfCancelled(provider) {
+    if (provider.signal) {
+        provider.signal.throwIfAborted();
+    }
+}
+
+// The RPC_UNAVAILABLE error behind an ethers error, if there is one
+export function findRpcUnavailable(error) {
+    for (let current = error; current; current = current.error) {
+        if (current.code === RPC_UNAVAILABLE) {
+            return current;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,93 @@
+import { CHECK_REGISTRY } from './checks.js';
+
+// Scoring profiles. `categories` multiplies the weight of every check in a category,
+// `checks` replaces the weight of single checks and `thresholds` are the minimum
+// scores for the Medium and High risk levels.
+export const SCORING_PROFILES = {
+    strict: {
+        name: 'strict',
+        label: 'Strict',
+        categories: { ownership: 1.5, distribution: 1.5, liquidity: 1.25, trading: 1.25 },
+        checks: {},
+        thresholds: { warning: 20, danger: 45 }
+    },
+    balanced: {
+        name: 'balanced',
+        label: 'Balanced',
+        categories: {},
+        checks: {},
+        thresholds: { warning: 30, danger: 60 }
+    },
+    lenient: {
+        name: 'lenient',
+        label: 'Lenient',
+        categories: { ownership: 0.5, distribution: 0.5, bytecode: 0.75 },
+        checks: { 'contract-size': 0 },
+        thresholds: { warning: 40, danger: 75 }
+    }
+};
+export const DEFAULT_PROFILE = 'balanced';
+
+// Weight of a check under a scoring profile
+export function getCheckWeight(check, profile) {
+    if (profile.checks[check.id] !== undefined) {
+        return profile.checks[check.id];
+    }
+    const categoryWeight = profile.categories[check.category];
+    return check.weight * (categoryWeight === undefined ? 1 : categoryWeight);
+}
+
+// Validate a scoring profile loaded from JSON. Anything it leaves out
+// falls back to the balanced profile.
+export function parseScoringProfile(json) {
+    const input = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Scoring profile must be a JSON object');
+    }
+
+    const base = SCORING_PROFILES[DEFAULT_PROFILE];
+    const checkIds = new Set(CHECK_REGISTRY.map(check => check.id));
+    const categories = new Set(CHECK_REGISTRY.map(check => check.category));
+
+    const readWeights = (weights, known, kind) => {
+        if (weights === undefined) {
+            return {};
+        }
+        if (!weights || typeof weights !== 'object') {
+            throw new Error(`Scoring profile "${kind}" must be an object`);
+        }
+        for (const [key, value] of Object.entries(weights)) {
+            if (!known.has(key)) {
+                throw new Error(`Unknown ${kind === 'checks' ? 'check' : 'category'} "${key}" in scoring profile`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                throw new Error(`Weight for "${key}" must be a non-negative number`);
+            }
+        }
+        return { ...weights };
+    };
+
+    const thresholds = { ...base.thresholds, ...(input.thresholds || {}) };
+    if (!Number.isFinite(thresholds.warning) || !Number.isFinite(thresholds.danger) || thresholds.warning > thresholds.danger) {
+        throw new Error('Scoring profile thresholds need numeric "warning" and "danger" values, warning <= danger');
+    }
+
+    return {
+        name: 'custom',
+        label: typeof input.label === 'string' && input.label ? input.label : 'Custom',
+        categories: readWeights(input.categories, categories, 'categories'),
+        checks: readWeights(input.checks, checkIds, 'checks'),
+        thresholds
+    };
+}
+
+// Calculate risk level
+export function calculateRiskLevel(score, thresholds = SCORING_PROFILES[DEFAULT_PROFILE].thresholds) {
+    if (score >= thresholds.danger) {
+        return { level: 'danger', label: 'High Risk' };
+    } else if (score >= thresholds.warning) {
+        return { level: 'warning', label: 'Medium Risk' };
+    } else {
+        return { level: 'safe', label: 'Low Risk' };
+    }
+}
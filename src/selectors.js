@@ -0,0 +1,203 @@
+// Dispatcher selector extraction and the offline privileged-function dictionary
+import { BURN_ADDRESSES } from './config.js';
+
+// Offline dictionary of admin functions that let a privileged account change
+// how the token trades. Selectors are derived from the signatures at load time.
+export const PRIVILEGED_FUNCTIONS = [
+    // Fees & taxes
+    { signature: 'setFee(uint256)', category: 'fees', weight: 6 },
+    { signature: 'setFees(uint256,uint256)', category: 'fees', weight: 6 },
+    { signature: 'setTaxes(uint256,uint256)', category: 'fees', weight: 6 },
+    { signature: 'setTaxFeePercent(uint256)', category: 'fees', weight: 6 },
+    { signature: 'setTaxFee(uint256)', category: 'fees', weight: 6 },
+    { signature: 'setBuyFee(uint256)', category: 'fees', weight: 6 },
+    { signature: 'setSellFee(uint256)', category: 'fees', weight: 6 },
+    { signature: 'setBuyTax(uint256)', category: 'fees', weight: 6 },
+    { signature: 'setSellTax(uint256)', category: 'fees', weight: 6 },
+    { signature: 'updateFees(uint256,uint256)', category: 'fees', weight: 6 },
+    { signature: 'updateBuyFees(uint256,uint256,uint256)', category: 'fees', weight: 6 },
+    { signature: 'updateSellFees(uint256,uint256,uint256)', category: 'fees', weight: 6 },
+    { signature: 'setLiquidityFeePercent(uint256)', category: 'fees', weight: 6 },
+    { signature: 'setMarketingFee(uint256)', category: 'fees', weight: 6 },
+
+    // Blacklists & bot lists
+    { signature: 'blacklist(address)', category: 'blacklist', weight: 10 },
+    { signature: 'blacklistAddress(address,bool)', category: 'blacklist', weight: 10 },
+    { signature: 'addToBlacklist(address)', category: 'blacklist', weight: 10 },
+    { signature: 'setBlacklist(address,bool)', category: 'blacklist', weight: 10 },
+    { signature: 'addBot(address)', category: 'blacklist', weight: 10 },
+    { signature: 'addBots(address[])', category: 'blacklist', weight: 10 },
+    { signature: 'setBots(address[])', category: 'blacklist', weight: 10 },
+    { signature: 'setBot(address,bool)', category: 'blacklist', weight: 10 },
+    { signature: 'blockBots(address[])', category: 'blacklist', weight: 10 },
+    { signature: 'delBot(address)', category: 'blacklist', weight: 4 },
+    { signature: 'delBots(address[])', category: 'blacklist', weight: 4 },
+
+    // Transaction & wallet limits
+    { signature: 'setMaxTxAmount(uint256)', category: 'limits', weight: 4 },
+    { signature: 'setMaxTxPercent(uint256)', category: 'limits', weight: 4 },
+    { signature: 'setMaxWalletSize(uint256)', category: 'limits', weight: 4 },
+    { signature: 'setMaxWallet(uint256)', category: 'limits', weight: 4 },
+    { signature: 'updateMaxTxnAmount(uint256)', category: 'limits', weight: 4 },
+    { signature: 'updateMaxWalletAmount(uint256)', category: 'limits', weight: 4 },
+    { signature: 'setCooldownEnabled(bool)', category: 'limits', weight: 4 },
+
+    // Pausing & trading switches
+    { signature: 'pause()', category: 'pause', weight: 8 },
+    { signature: 'setPaused(bool)', category: 'pause', weight: 8 },
+    { signature: 'setTradingEnabled(bool)', category: 'trading', weight: 8 },
+    { signature: 'setTrading(bool)', category: 'trading', weight: 8 },
+    { signature: 'tradingStatus(bool)', category: 'trading', weight: 8 },
+    { signature: 'enableTrading()', category: 'trading', weight: 4 },
+    { signature: 'openTrading()', category: 'trading', weight: 4 },
+
+    // Supply
+    { signature: 'mint(address,uint256)', category: 'mint', weight: 10 },
+    { signature: 'mint(uint256)', category: 'mint', weight: 10 },
+    { signature: 'setBalance(address,uint256)', category: 'mint', weight: 10 },
+
+    // Fee / limit exemptions
+    { signature: 'excludeFromFee(address)', category: 'exemptions', weight: 2 },
+    { signature: 'includeInFee(address)', category: 'exemptions', weight: 2 },
+    { signature: 'excludeFromFees(address,bool)', category: 'exemptions', weight: 2 },
+    { signature: 'setExcludedFromFee(address,bool)', category: 'exemptions', weight: 2 },
+    { signature: 'excludeFromMaxTransaction(address,bool)', category: 'exemptions', weight: 2 },
+
+    // Swap routing & upgrades
+    { signature: 'setRouter(address)', category: 'routing', weight: 6 },
+    { signature: 'updateUniswapV2Router(address)', category: 'routing', weight: 6 },
+    { signature: 'upgradeTo(address)', category: 'upgrade', weight: 8 },
+    { signature: 'upgradeToAndCall(address,bytes)', category: 'upgrade', weight: 8 }
+];
+
+// Well-known functions that carry no risk on their own
+export const KNOWN_FUNCTIONS = [
+    'name()', 'symbol()', 'decimals()', 'totalSupply()', 'balanceOf(address)',
+    'transfer(address,uint256)', 'transferFrom(address,address,uint256)',
+    'approve(address,uint256)', 'allowance(address,address)',
+    'increaseAllowance(address,uint256)', 'decreaseAllowance(address,uint256)',
+    'owner()', 'getOwner()', 'transferOwnership(address)', 'renounceOwnership()',
+    'unpause()', 'paused()', 'burn(uint256)', 'burnFrom(address,uint256)',
+    'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)', 'nonces(address)',
+    'DOMAIN_SEPARATOR()', 'supportsInterface(bytes4)', 'multicall(bytes[])',
+    'uniswapV2Pair()', 'uniswapV2Router()', 'manualswap()', 'manualsend()',
+    'isExcludedFromFee(address)', 'isBot(address)', 'removeLimits()'
+];
+
+const PRIVILEGED_CATEGORY_LABELS = {
+    fees: 'can change buy/sell fees',
+    blacklist: 'can block individual wallets from trading',
+    limits: 'can change transaction or wallet limits',
+    pause: 'can pause all transfers',
+    trading: 'can switch trading on or off',
+    mint: 'can create new tokens or rewrite balances',
+    exemptions: 'can exempt wallets from fees or limits',
+    routing: 'can change the swap router',
+    upgrade: 'can replace the contract logic'
+};
+
+// Build the selector -> function lookup for the offline dictionary
+let selectorCatalog = null;
+
+export function getSelectorCatalog() {
+    if (!selectorCatalog) {
+        selectorCatalog = {};
+        KNOWN_FUNCTIONS.forEach(signature => {
+            selectorCatalog[ethers.utils.id(signature).slice(0, 10)] = { signature, category: null, weight: 0 };
+        });
+        PRIVILEGED_FUNCTIONS.forEach(entry => {
+            selectorCatalog[ethers.utils.id(entry.signature).slice(0, 10)] = entry;
+        });
+    }
+    return selectorCatalog;
+}
+
+// Pull function selectors out of the dispatcher.
+// Solidity compares the calldata selector with `[DUP1] PUSH4 <selector> [DUPn] EQ PUSH <dest> JUMPI`;
+// selectors with a leading zero byte are pushed with PUSH3.
+export function extractSelectors(instructions) {
+    const selectors = new Set();
+
+    for (let i = 0; i < instructions.length; i++) {
+        const push = instructions[i];
+        if (push.name !== 'PUSH4' && push.name !== 'PUSH3') continue;
+
+        let next = i + 1;
+        if (instructions[next] && instructions[next].name.startsWith('DUP')) next++;
+
+        const eq = instructions[next];
+        const dest = instructions[next + 1];
+        const jumpi = instructions[next + 2];
+        if (!eq || eq.name !== 'EQ') continue;
+        if (!dest || !dest.name.startsWith('PUSH')) continue;
+        if (!jumpi || jumpi.name !== 'JUMPI') continue;
+
+        const selector = ethers.utils.hexZeroPad(push.push, 4);
+        if (selector !== '0xffffffff') {
+            selectors.add(selector);
+        }
+    }
+
+    return [...selectors];
+}
+
+// Match dispatcher selectors against the privileged-function dictionary
+export function checkPrivilegedFunctions(disassembly, owner) {
+    const checks = [];
+    let riskScore = 0;
+
+    const catalog = getSelectorCatalog();
+    const selectors = extractSelectors(disassembly.instructions);
+    const known = [];
+    const unknown = [];
+
+    selectors.forEach(selector => {
+        if (catalog[selector]) {
+            known.push({ selector, ...catalog[selector] });
+        } else {
+            unknown.push(selector);
+        }
+    });
+
+    // Admin functions are harmless once nobody can call them
+    const renounced = BURN_ADDRESSES.includes(owner);
+
+    known
+        .filter(entry => entry.weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .forEach(entry => {
+            const ability = PRIVILEGED_CATEGORY_LABELS[entry.category];
+            if (renounced) {
+                checks.push({
+                    type: 'success',
+                    title: `ℹ️ Admin Function: ${entry.signature}`,
+                    description: `Owner ${ability}, but ownership is renounced`,
+                    details: [`Selector: ${entry.selector}`]
+                });
+                return;
+            }
+
+            checks.push({
+                type: entry.weight >= 8 ? 'danger' : 'warning',
+                title: `⚠️ Admin Function: ${entry.signature}`,
+                description: `A privileged account ${ability}`,
+                details: [`Selector: ${entry.selector}`]
+            });
+            riskScore += entry.weight;
+        });
+
+    if (unknown.length > 0) {
+        const lines = [];
+        for (let i = 0; i < unknown.length; i += 8) {
+            lines.push(unknown.slice(i, i + 8).join(' '));
+        }
+        checks.push({
+            type: 'success',
+            title: `ℹ️ ${unknown.length} Unrecognized Function${unknown.length === 1 ? '' : 's'}`,
+            description: 'Selectors not in the offline dictionary - review them on a signature database',
+            details: lines
+        });
+    }
+
+    return { checks, riskScore, selectors: { known, unknown } };
+}
@@ -0,0 +1,561 @@
+// Buy -> transfer -> sell simulation through eth_call state overrides, repeated at
+// future blocks (block overrides) and as back-to-back trades of one wallet
+import { ERC20_ABI, SIMULATION_TIME_TRIALS } from './config.js';
+import { describePool } from './liquidity.js';
+import { blocksFor } from './chains.js';
+
+const ROUTER_ABI = [
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)'
+];
+
+// Runtime code of contracts/HoneypotSimulator.sol (solc 0.8.24, optimizer 200 runs).
+// It is never deployed - simulations inject it at SIMULATOR_ADDRESS with an eth_call state override.
+const SIMULATOR_BYTECODE = '0x608060405234801561000f575f80fd5b506004361061003f575f3560e01c806322f62eef1461004357806371fa1b0e1461006f578063b17ad82d14610091575b5f80fd5b6100566100513660046107bf565b6100b6565b6040516100669493929190610892565b60405180910390f35b61008261007d3660046108e9565b61013c565b60405161006693929190610943565b6100a461009f366004610985565b6101a1565b60405161006696959493929190610a12565b6100be61077c565b6100c661077c565b6100ce61077c565b6100d661077c565b6100ec8887896100e760028a610a51565b61024d565b93506100ff8887896100e760028a610a51565b925061011d88888860026101138c3061054b565b6100e79190610a51565b915061012f8888886100e78b3061054b565b9050945094509450949050565b61014461077c565b61014c61077c565b61015461077c565b6101608887898861024d565b92506101828785600a6101738b3061054b565b61017d9190610a51565b6105c4565b91506101948888886100e78b3061054b565b9050955095509592505050565b5f60605f805f806101b18a6106f9565b93506101bd8a8861054b565b915060608a6001600160a01b03168a8a6040516101db929190610a70565b5f604051808303815f865af19150503d805f8114610214576040519150601f19603f3d011682016040523d82523d5f602084013e610219565b606091505b50909750905086610228578095505b6102318b6106f9565b935061023d8b8961054b565b9150509499939850945094509450565b61025561077c565b8115610543576040805160028082526060820183525f9260208301908036833701905050905084815f8151811061028e5761028e610a93565b60200260200101906001600160a01b031690816001600160a01b03168152505083816001815181106102c2576102c2610a93565b6001600160a01b03928316602091820292909201015260405163d06ca61f60e01b81529087169063d06ca61f906102ff9086908590600401610aea565b5f60405180830381865afa92505050801561033b57506040513d5f823e601f3d908101601f191682016040526103389190810190610b02565b60015b610379573d808015610368576040519150601f19603f3d011682016040523d82523d5f602084013e61036d565b606091505b50608083015250610543565b8060018151811061038c5761038c610a93565b60209081029190910181015190840152506040516001600160a01b038781166024830152604482018590525f91829188169060640160408051601f198184030181529181526020820180516001600160e01b031663095ea7b360e01b179052516103f69190610bbb565b5f604051808303815f865af19150503d805f811461042f576040519150601f19603f3d011682016040523d82523d5f602084013e610434565b606091505b50915091508161044b576080840152506105439050565b5f610456873061054b565b90505f5a90505f808b6001600160a01b0316895f893042604051602401610481959493929190610bd6565b60408051601f198184030181529181526020820180516001600160e01b0316635c11d79560e01b179052516104b69190610bbb565b5f604051808303815f865af19150503d805f81146104ef576040519150601f19603f3d011682016040523d82523d5f602084013e6104f4565b606091505b50915091505a6105049084610c14565b60608901528161051f57608088015250610543945050505050565b60018852610536846105318c3061054b565b610764565b6040890152505050505050505b949350505050565b6040516370a0823160e01b81526001600160a01b0382811660048301525f91908416906370a0823190602401602060405180830381865afa9250505080156105b0575060408051601f3d908101601f191682019092526105ad91810190610c33565b60015b6105bb57505f6105be565b90505b92915050565b6105cc61077c565b81156106f257602081018290525f6105e4858561054b565b90505f5a6040516001600160a01b038781166024830152604482018790529192505f9182919089169060640160408051601f198184030181529181526020820180516001600160e01b031663a9059cbb60e01b179052516106459190610bbb565b5f604051808303815f865af19150503d805f811461067e576040519150601f19603f3d011682016040523d82523d5f602084013e610683565b606091505b50915091505a6106939084610c14565b60608601528115806106c3575060208151101580156106c35750808060200190518101906106c19190610c4a565b155b156106d6576080850152506106f2915050565b600185526106e8846105318a8a61054b565b6040860152505050505b9392505050565b5f816001600160a01b03166318160ddd6040518163ffffffff1660e01b8152600401602060405180830381865afa925050508015610754575060408051601f3d908101601f1916820190925261075191810190610c33565b60015b6105be57505f919050565b919050565b5f828211610772575f6105bb565b6105bb8383610c14565b6040518060a001604052805f151581526020015f81526020015f81526020015f8152602001606081525090565b80356001600160a01b038116811461075f575f80fd5b5f805f80608085870312156107d2575f80fd5b6107db856107a9565b93506107e9602086016107a9565b92506107f7604086016107a9565b9396929550929360600135925050565b5f5b83811015610821578181015183820152602001610809565b50505f910152565b5f8151808452610840816020860160208601610807565b601f01601f19169290920160200192915050565b8051151582526020810151602083015260408101516040830152606081015160608301525f608082015160a0608085015261054360a0850182610829565b608081525f6108a46080830187610854565b82810360208401526108b68187610854565b905082810360408401526108ca8186610854565b905082810360608401526108de8185610854565b979650505050505050565b5f805f805f60a086880312156108fd575f80fd5b610906866107a9565b9450610914602087016107a9565b9350610922604087016107a9565b925060608601359150610937608087016107a9565b90509295509295909350565b606081525f6109556060830186610854565b82810360208401526109678186610854565b9050828103604084015261097b8185610854565b9695505050505050565b5f805f8060608587031215610998575f80fd5b6109a1856107a9565b9350602085013567ffffffffffffffff808211156109bd575f80fd5b818701915087601f8301126109d0575f80fd5b8135818111156109de575f80fd5b8860208285010111156109ef575f80fd5b602083019550809450505050610a07604086016107a9565b905092959194509250565b861515815260c060208201525f610a2c60c0830188610829565b90508560408301528460608301528360808301528260a0830152979650505050505050565b5f82610a6b57634e487b7160e01b5f52601260045260245ffd5b500490565b818382375f9101908152919050565b634e487b7160e01b5f52604160045260245ffd5b634e487b7160e01b5f52603260045260245ffd5b5f815180845260208085019450602084015f5b83811015610adf5781516001600160a01b031687529582019590820190600101610aba565b509495945050505050565b828152604060208201525f6105436040830184610aa7565b5f6020808385031215610b13575f80fd5b825167ffffffffffffffff80821115610b2a575f80fd5b818501915085601f830112610b3d575f80fd5b815181811115610b4f57610b4f610a7f565b8060051b604051601f19603f83011681018181108582111715610b7457610b74610a7f565b604052918252848201925083810185019188831115610b91575f80fd5b938501935b82851015610baf57845184529385019392850192610b96565b98975050505050505050565b5f8251610bcc818460208701610807565b9190910192915050565b85815260ff8516602082015260a060408201525f610bf760a0830186610aa7565b6001600160a01b0394909416606083015250608001529392505050565b818103818111156105be57634e487b7160e01b5f52601160045260245ffd5b5f60208284031215610c43575f80fd5b5051919050565b5f60208284031215610c5a575f80fd5b815180151581146106f2575f80fdfea26469706673582212202c2fdca6b50567d2b731e800b23a1ef6e0a082fc2db661260bcb4ab8fbcd134964736f6c63430008180033';
+
+const LEG_TUPLE = 'tuple(bool ok, uint256 expected, uint256 received, uint256 gasUsed, bytes error)';
+const SIMULATOR_ABI = [
+    'function roundTrip(address router, address token, address quote, uint256 amountIn, address receiver) returns (' +
+    `${LEG_TUPLE} buy, ${LEG_TUPLE} transferLeg, ${LEG_TUPLE} sell)`,
+    'function consecutiveTrades(address router, address token, address quote, uint256 amountIn) returns (' +
+    `${LEG_TUPLE} firstBuy, ${LEG_TUPLE} secondBuy, ${LEG_TUPLE} firstSell, ${LEG_TUPLE} secondSell)`,
+    'function privilegedCall(address token, bytes data, address holder) returns (' +
+    'bool ok, bytes error, uint256 supplyBefore, uint256 supplyAfter, uint256 balanceBefore, uint256 balanceAfter)'
+];
+
+// Synthetic accounts used by the simulation - derived from fixed labels so they never hold real funds
+export const SIMULATOR_ADDRESS = syntheticAddress('honeypot-checker.simulator');
+const RECEIVER_ADDRESS = syntheticAddress('honeypot-checker.receiver');
+const TRADER_ADDRESS = syntheticAddress('honeypot-checker.trader');
+
+// Balance mapping slots probed when locating a token's `balanceOf` storage
+const BALANCE_SLOT_SEARCH_DEPTH = 50;
+const BALANCE_PROBE_UNIT = ethers.BigNumber.from(10).pow(24);
+const SIMULATION_GAS_LIMIT = 15000000; // Below the EIP-7825 per-transaction gas cap
+
+// Derive a fixed, key-less address from a label
+export function syntheticAddress(label) {
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(ethers.utils.id(label), 12));
+}
+
+// Encode a number as a 32-byte storage word
+export function toStorageValue(value) {
+    return ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+}
+
+// Storage key of `holder` in a balance mapping at `slot`
+// Solidity hashes (key, slot); Vyper hashes (slot, key)
+export function balanceSlotKey(balanceSlot, holder) {
+    const encoded = balanceSlot.layout === 'vyper'
+        ? ethers.utils.defaultAbiCoder.encode(['uint256', 'address'], [balanceSlot.slot, holder])
+        : ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [holder, balanceSlot.slot]);
+    return ethers.utils.keccak256(encoded);
+}
+
+// Locate the storage slot of a token's balance mapping.
+// Every candidate slot gets a distinct planted balance in a single eth_call;
+// the value balanceOf returns tells us which slot it actually read.
+const balanceSlotCache = new WeakMap();
+
+export async function findBalanceSlot(provider, tokenAddress) {
+    if (!balanceSlotCache.has(provider)) {
+        balanceSlotCache.set(provider, new Map());
+    }
+    const slots = balanceSlotCache.get(provider);
+    const cacheKey = tokenAddress.toLowerCase();
+    if (slots.has(cacheKey)) {
+        return slots.get(cacheKey);
+    }
+
+    const candidates = [];
+    for (let slot = 0; slot <= BALANCE_SLOT_SEARCH_DEPTH; slot++) {
+        candidates.push({ slot, layout: 'solidity' }, { slot, layout: 'vyper' });
+    }
+
+    const stateDiff = {};
+    candidates.forEach((candidate, index) => {
+        stateDiff[balanceSlotKey(candidate, SIMULATOR_ADDRESS)] = toStorageValue(BALANCE_PROBE_UNIT.mul(index + 1));
+    });
+
+    const erc20 = new ethers.utils.Interface(ERC20_ABI);
+    const raw = await provider.send('eth_call', [
+        { to: tokenAddress, data: erc20.encodeFunctionData('balanceOf', [SIMULATOR_ADDRESS]) },
+        'latest',
+        { [tokenAddress]: { stateDiff } }
+    ]);
+
+    const [balance] = erc20.decodeFunctionResult('balanceOf', raw);
+    let found = null;
+    if (!balance.isZero() && balance.mod(BALANCE_PROBE_UNIT).isZero()) {
+        const index = balance.div(BALANCE_PROBE_UNIT).toNumber() - 1;
+        found = candidates[index] || null;
+    }
+
+    slots.set(cacheKey, found);
+    return found;
+}
+
+// State overrides that install the simulator and fund it with `amountIn` of the quote
+// token and, when the token's balance slot is known, with the tokens `amountIn` buys
+async function prepareSimulation(provider, routerAddress, tokenAddress, quoteAddress, amountIn) {
+    const router = new ethers.Contract(routerAddress, ROUTER_ABI, provider);
+    const amounts = await router.getAmountsOut(amountIn, [quoteAddress, tokenAddress]);
+
+    const quoteSlot = await findBalanceSlot(provider, quoteAddress);
+    if (!quoteSlot) {
+        throw new Error('Could not locate the quote token balance slot');
+    }
+    const tokenSlot = await findBalanceSlot(provider, tokenAddress);
+
+    const overrides = {
+        [SIMULATOR_ADDRESS]: { code: SIMULATOR_BYTECODE },
+        [quoteAddress]: {
+            stateDiff: { [balanceSlotKey(quoteSlot, SIMULATOR_ADDRESS)]: toStorageValue(amountIn) }
+        }
+    };
+    if (tokenSlot) {
+        overrides[tokenAddress] = {
+            stateDiff: { [balanceSlotKey(tokenSlot, SIMULATOR_ADDRESS)]: toStorageValue(amounts[1]) }
+        };
+    }
+    return { overrides, tokenSeeded: Boolean(tokenSlot) };
+}
+
+// Call a simulator function. `blockOverrides` ({ number, time }) runs it in a future block.
+async function callSimulator(provider, method, args, overrides, blockOverrides = null) {
+    const simulator = new ethers.utils.Interface(SIMULATOR_ABI);
+    const params = [
+        {
+            from: TRADER_ADDRESS,
+            to: SIMULATOR_ADDRESS,
+            gas: ethers.utils.hexValue(SIMULATION_GAS_LIMIT),
+            data: simulator.encodeFunctionData(method, args)
+        },
+        'latest',
+        overrides
+    ];
+    if (blockOverrides) {
+        params.push({
+            number: ethers.utils.hexValue(blockOverrides.number),
+            time: ethers.utils.hexValue(blockOverrides.time)
+        });
+    }
+    return simulator.decodeFunctionResult(method, await provider.send('eth_call', params));
+}
+
+// Run the buy -> transfer -> sell round trip in one eth_call.
+// The simulator is funded with `amountIn` of the quote token and, when the token's
+// balance slot is known, seeded with tokens so the sell leg runs even if buying fails.
+export async function simulateRoundTrip(provider, routerAddress, tokenAddress, quoteAddress, amountIn, blockOverrides = null) {
+    const { overrides, tokenSeeded } = await prepareSimulation(provider, routerAddress, tokenAddress, quoteAddress, amountIn);
+    const [buy, transferLeg, sell] = await callSimulator(provider, 'roundTrip', [
+        routerAddress, tokenAddress, quoteAddress, amountIn, RECEIVER_ADDRESS
+    ], overrides, blockOverrides);
+
+    return {
+        amountIn: amountIn.toString(),
+        tokenSeeded,
+        buy: summarizeLeg(buy),
+        transfer: summarizeLeg(transferLeg),
+        sell: summarizeLeg(sell)
+    };
+}
+
+// Two buys, then two sells, from the same wallet in the same block - the pattern
+// cooldowns and one-sell-per-block limits catch
+export async function simulateConsecutiveTrades(provider, routerAddress, tokenAddress, quoteAddress, amountIn) {
+    const { overrides } = await prepareSimulation(provider, routerAddress, tokenAddress, quoteAddress, amountIn);
+    const [firstBuy, secondBuy, firstSell, secondSell] = await callSimulator(provider, 'consecutiveTrades', [
+        routerAddress, tokenAddress, quoteAddress, amountIn
+    ], overrides);
+
+    return {
+        firstBuy: summarizeLeg(firstBuy),
+        secondBuy: summarizeLeg(secondBuy),
+        firstSell: summarizeLeg(firstSell),
+        secondSell: summarizeLeg(secondSell)
+    };
+}
+
+// Send `data` to the token as `caller` (its owner) and measure the change in total supply
+// and in `holder`'s balance. The simulator code replaces the caller's for the call, which
+// works for owner wallets and owner contracts alike.
+export async function simulatePrivilegedCall(provider, caller, tokenAddress, data, holder) {
+    const simulator = new ethers.utils.Interface(SIMULATOR_ABI);
+    const raw = await provider.send('eth_call', [
+        {
+            from: TRADER_ADDRESS,
+            to: caller,
+            gas: ethers.utils.hexValue(SIMULATION_GAS_LIMIT),
+            data: simulator.encodeFunctionData('privilegedCall', [tokenAddress, data, holder])
+        },
+        'latest',
+        { [caller]: { code: SIMULATOR_BYTECODE } }
+    ]);
+
+    const result = simulator.decodeFunctionResult('privilegedCall', raw);
+    return {
+        ok: result.ok,
+        error: result.ok ? null : decodeRevertReason(result.error),
+        supplyBefore: result.supplyBefore,
+        supplyAfter: result.supplyAfter,
+        balanceBefore: result.balanceBefore,
+        balanceAfter: result.balanceAfter
+    };
+}
+
+// Runtime code that returns block.timestamp (TIMESTAMP PUSH0 MSTORE PUSH1 0x20 PUSH0 RETURN)
+const TIMESTAMP_PROBE_CODE = '0x425f5260205ff3';
+const blockOverrideSupport = new WeakMap();
+
+// Whether the RPC honors eth_call block overrides. Nodes that ignore the extra
+// parameter would otherwise make every future trial look like the present.
+export async function supportsBlockOverrides(provider) {
+    if (!blockOverrideSupport.has(provider)) {
+        const probe = syntheticAddress('honeypot-checker.timestamp-probe');
+        const time = 4102444800; // 2100-01-01
+        const support = provider.send('eth_call', [
+            { to: probe, data: '0x' },
+            'latest',
+            { [probe]: { code: TIMESTAMP_PROBE_CODE } },
+            { time: ethers.utils.hexValue(time) }
+        ]).then(raw => ethers.BigNumber.from(raw).eq(time), () => {
+            // A rejected call may be a flaky endpoint rather than missing support: ask again next time
+            blockOverrideSupport.delete(provider);
+            return false;
+        });
+        blockOverrideSupport.set(provider, support);
+    }
+    return blockOverrideSupport.get(provider);
+}
+
+// The round trip at each of SIMULATION_TIME_TRIALS after the latest block
+export async function simulateOverTime(provider, chain, routerAddress, tokenAddress, quoteAddress, amountIn) {
+    const latest = await provider.getBlock('latest');
+    return Promise.all(SIMULATION_TIME_TRIALS.map(async ({ label, seconds }) => {
+        const blockOverrides = {
+            number: latest.number + blocksFor(chain, seconds),
+            time: latest.timestamp + seconds
+        };
+        const trial = await simulateRoundTrip(provider, routerAddress, tokenAddress, quoteAddress, amountIn, blockOverrides);
+        return {
+            label,
+            seconds,
+            blockNumber: blockOverrides.number,
+            timestamp: blockOverrides.time,
+            buy: trial.buy,
+            transfer: trial.transfer,
+            sell: trial.sell
+        };
+    }));
+}
+
+// Convert a decoded simulator leg into plain values with the measured tax
+function summarizeLeg(leg) {
+    const skipped = !leg.ok && leg.expected.isZero() && leg.error === '0x';
+    let tax = null;
+    if (leg.ok && !leg.expected.isZero()) {
+        const lost = leg.expected.sub(leg.received);
+        tax = lost.isNegative() ? 0 : lost.mul(10000).div(leg.expected).toNumber() / 100;
+    }
+
+    return {
+        ok: leg.ok,
+        skipped,
+        expected: leg.expected.toString(),
+        received: leg.received.toString(),
+        gasUsed: leg.gasUsed.toNumber(),
+        tax,
+        error: leg.ok ? null : decodeRevertReason(leg.error)
+    };
+}
+
+// Turn raw revert data into a readable reason
+export function decodeRevertReason(data) {
+    if (!data || data === '0x') {
+        return 'reverted without a reason';
+    }
+
+    const selector = data.slice(0, 10);
+    try {
+        if (selector === '0x08c379a0') {
+            return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+        }
+        if (selector === '0x4e487b71') {
+            const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4));
+            return `panic 0x${code.toNumber().toString(16)}`;
+        }
+    } catch {
+        // Fall through to the raw selector
+    }
+
+    return `custom error ${selector}`;
+}
+
+// Grade a measured tax
+function gradeTax(label, tax) {
+    const description = `Measured ${label.toLowerCase()} tax: ${tax.toFixed(2)}%`;
+    if (tax >= 50) {
+        return { type: 'danger', title: `🚨 Extreme ${label} Tax`, description, riskScore: 40 };
+    } else if (tax >= 20) {
+        return { type: 'warning', title: `⚠️ High ${label} Tax`, description, riskScore: 20 };
+    } else if (tax >= 10) {
+        return { type: 'warning', title: `⚠️ ${label} Tax Above 10%`, description, riskScore: 10 };
+    }
+    return { type: 'success', title: `✓ ${label} Tax`, description, riskScore: 0 };
+}
+
+// Turn a round-trip simulation into checks
+function reportSimulation(simulation) {
+    const checks = [];
+    let riskScore = 0;
+
+    const legs = [
+        {
+            label: 'Buy',
+            leg: simulation.buy,
+            failure: { title: '🚨 Buy Simulation Failed', description: 'Buying through the router reverts. Likely paused or trading disabled!', riskScore: 50 }
+        },
+        {
+            label: 'Transfer',
+            leg: simulation.transfer,
+            failure: { title: '🚨 Transfers Blocked', description: 'Wallet-to-wallet transfers revert.', riskScore: 30 }
+        },
+        {
+            label: 'Sell',
+            leg: simulation.sell,
+            failure: { title: '🚨 Sell Simulation Failed', description: 'Selling through the router reverts. Likely a Honeypot!', riskScore: 60 }
+        }
+    ];
+
+    legs.forEach(({ label, leg, failure }) => {
+        if (leg.skipped) {
+            checks.push({
+                type: 'warning',
+                title: `⚠️ ${label} Not Simulated`,
+                description: `No tokens were available to simulate the ${label.toLowerCase()}.`
+            });
+            return;
+        }
+
+        if (!leg.ok) {
+            checks.push({
+                type: 'danger',
+                title: failure.title,
+                description: failure.description,
+                details: [`Revert: ${leg.error}`]
+            });
+            riskScore += failure.riskScore;
+            return;
+        }
+
+        const grade = gradeTax(label, leg.tax);
+        checks.push({
+            type: grade.type,
+            title: grade.title,
+            description: grade.description,
+            details: [`Expected ${leg.expected}, received ${leg.received} (raw units) • gas ${leg.gasUsed}`]
+        });
+        riskScore += grade.riskScore;
+    });
+
+    return { checks, riskScore };
+}
+
+// Tax rises over time smaller than this many percentage points are price impact noise
+const TAX_DRIFT_THRESHOLD = 10;
+
+// Compare the time trials and back-to-back trades with the round trip in the latest block
+function reportTimeBehaviour(simulation) {
+    const checks = [];
+    let riskScore = 0;
+    const { timeTrials, consecutive } = simulation;
+
+    if (timeTrials) {
+        // Only the earliest change of each kind is reported; later trials usually repeat it
+        const sellRevert = timeTrials.find(trial => simulation.sell.ok && !trial.sell.ok && !trial.sell.skipped);
+        const buyRevert = timeTrials.find(trial => simulation.buy.ok && !trial.buy.ok && !trial.buy.skipped);
+        const buyOpens = timeTrials.find(trial => !simulation.buy.ok && !simulation.buy.skipped && trial.buy.ok);
+        const taxRise = timeTrials.find(trial => simulation.sell.tax !== null && trial.sell.tax !== null &&
+            trial.sell.tax - simulation.sell.tax >= TAX_DRIFT_THRESHOLD);
+
+        if (sellRevert) {
+            checks.push({
+                type: 'danger',
+                title: `🚨 Sells Revert After ${sellRevert.label}`,
+                description: `Selling works now but reverts ${sellRevert.label} from now - a time-delayed honeypot.`,
+                details: [`Block ${sellRevert.blockNumber} • revert: ${sellRevert.sell.error}`]
+            });
+            riskScore += 50;
+        }
+        if (buyRevert) {
+            checks.push({
+                type: 'danger',
+                title: `🚨 Buys Revert After ${buyRevert.label}`,
+                description: `Buying works now but reverts ${buyRevert.label} from now.`,
+                details: [`Block ${buyRevert.blockNumber} • revert: ${buyRevert.buy.error}`]
+            });
+            riskScore += 30;
+        }
+        if (buyOpens) {
+            checks.push({
+                type: 'warning',
+                title: `⚠️ Trading Opens After ${buyOpens.label}`,
+                description: `Buying reverts now but works ${buyOpens.label} from now - trading is scheduled to open.`
+            });
+        }
+        if (taxRise) {
+            checks.push({
+                type: taxRise.sell.tax >= 50 ? 'danger' : 'warning',
+                title: `${taxRise.sell.tax >= 50 ? '🚨' : '⚠️'} Sell Tax Rises After ${taxRise.label}`,
+                description: `Sell tax goes from ${simulation.sell.tax.toFixed(2)}% now to ${taxRise.sell.tax.toFixed(2)}% ${taxRise.label} from now.`
+            });
+            riskScore += taxRise.sell.tax >= 50 ? 40 : 20;
+        }
+    }
+
+    if (consecutive) {
+        const { firstBuy, secondBuy, firstSell, secondSell } = consecutive;
+        if (firstSell.ok && !secondSell.ok && !secondSell.skipped) {
+            checks.push({
+                type: 'danger',
+                title: '🚨 Second Sell Reverts',
+                description: 'A second sell right after the first one reverts - a sell cooldown or one-sell-per-block limit.',
+                details: [`Revert: ${secondSell.error}`]
+            });
+            riskScore += 40;
+        }
+        if (firstBuy.ok && !secondBuy.ok && !secondBuy.skipped) {
+            checks.push({
+                type: 'warning',
+                title: '⚠️ Second Buy Reverts',
+                description: 'A second buy right after the first one reverts - a buy cooldown or per-block limit.',
+                details: [`Revert: ${secondBuy.error}`]
+            });
+            riskScore += 10;
+        }
+        if (firstSell.tax !== null && secondSell.tax !== null && secondSell.tax - firstSell.tax >= TAX_DRIFT_THRESHOLD) {
+            checks.push({
+                type: 'warning',
+                title: '⚠️ Second Sell Taxed Higher',
+                description: `Sell tax goes from ${firstSell.tax.toFixed(2)}% to ${secondSell.tax.toFixed(2)}% on an immediate second sell.`
+            });
+            riskScore += 15;
+        }
+    }
+
+    if (!timeTrials) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Future Blocks Not Simulated',
+            description: 'Time-delayed traps were not checked: the RPC does not support eth_call block overrides.'
+        });
+    } else if (checks.length === 0) {
+        const horizon = SIMULATION_TIME_TRIALS[SIMULATION_TIME_TRIALS.length - 1].label;
+        checks.push({
+            type: 'success',
+            title: '✓ Consistent Over Time',
+            description: `Trades behave the same up to ${horizon} from now and on back-to-back trades.`
+        });
+    }
+
+    return { checks, riskScore };
+}
+
+// Simulate a buy -> transfer -> sell round trip through the deepest V2-router pool,
+// then repeat it in future blocks and as back-to-back trades
+export async function checkSimulation(provider, chain, contract, tokenAddress, pools) {
+    const checks = [];
+    let simulation = null;
+
+    const simulationPool = pools.find(pool => pool.router && !pool.quoteReserve.isZero());
+    if (!simulationPool) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Simulation Unavailable',
+            description: pools.length === 0
+                ? 'Buy/sell simulation needs a pool with liquidity.'
+                : 'Buy/sell simulation needs a V2-style pool; this token only trades on V3 or Aerodrome pools.'
+        });
+        return { checks, riskScore: 0, simulation };
+    }
+
+    // Trade 1% of the pool so price impact stays small
+    const args = [simulationPool.router, tokenAddress, simulationPool.quote.address, simulationPool.quoteReserve.div(100)];
+    try {
+        simulation = await simulateRoundTrip(provider, ...args);
+        simulation.pool = simulationPool.address;
+        simulation.dex = describePool(simulationPool);
+    } catch (error) {
+        console.warn('Round-trip simulation unavailable:', error.message);
+    }
+
+    if (!simulation) {
+        const fallbackCheck = await checkTransferFromPair(provider, contract, tokenAddress, simulationPool.address);
+        checks.push(...fallbackCheck.checks);
+        return { checks, riskScore: fallbackCheck.riskScore, simulation };
+    }
+
+    const [timeTrials, consecutive] = await Promise.all([
+        supportsBlockOverrides(provider)
+            .then(supported => supported ? simulateOverTime(provider, chain, ...args) : null)
+            .catch(error => {
+                console.warn('Time-shifted simulation failed:', error.message);
+                return null;
+            }),
+        simulateConsecutiveTrades(provider, ...args).catch(error => {
+            console.warn('Consecutive trade simulation failed:', error.message);
+            return null;
+        })
+    ]);
+    simulation.timeTrials = timeTrials;
+    simulation.consecutive = consecutive;
+
+    const simulationCheck = reportSimulation(simulation);
+    const timeCheck = reportTimeBehaviour(simulation);
+    checks.push(...simulationCheck.checks, ...timeCheck.checks);
+
+    return { checks, riskScore: simulationCheck.riskScore + timeCheck.riskScore, simulation };
+}
+
+// Fallback for RPCs without eth_call state overrides:
+// estimate a transfer out of the pair (the token side of a buy) with the pair as sender.
+async function checkTransferFromPair(provider, contract, tokenAddress, pairAddress) {
+    const checks = [];
+    let riskScore = 0;
+
+    try {
+        const randomUser = '0x000000000000000000000000000000000000dEaD'; // Burn address as receiver
+        const decimals = await contract.decimals().catch(() => 18);
+        const testAmount = ethers.utils.parseUnits('1', decimals); // Try 1 token
+
+        const data = contract.interface.encodeFunctionData('transfer', [randomUser, testAmount]);
+
+        await provider.estimateGas({
+            to: tokenAddress,
+            from: pairAddress, // Simulating FROM the pair
+            data: data
+        });
+
+        checks.push({
+            type: 'success',
+            title: '✓ Buy Simulation (Pool -> User)',
+            description: 'Transfer from Liquidity Pool appears allowed. Sell simulation needs an RPC with eth_call state overrides.'
+        });
+
+    } catch (error) {
+        // If this fails, it might be that the pair has no balance OR it's a honeypot blocking buys.
+        // We can check balance to be sure.
+        const pairBalance = await contract.balanceOf(pairAddress);
+
+        if (!pairBalance.isZero() && (error.message.includes('revert') || error.message.includes('execution reverted'))) {
+            checks.push({
+                type: 'danger',
+                title: '🚨 Buy Simulation Failed',
+                description: 'Unable to transfer tokens from Liquidity Pool. Likely a Honeypot or Paused!'
+            });
+            riskScore += 50; // Critical
+        }
+    }
+
+    return { checks, riskScore };
+}
@@ -0,0 +1,303 @@
+// Offline review of pasted Solidity source: pattern matching on the text, no compiler.
+// Comments and strings are blanked first; functions are found by their `function` keyword
+// and brace matching, so code reached through internal calls or modifiers is not followed.
+
+// Functions that run on every transfer
+const TRANSFER_HOOKS = ['_transfer', '_update', '_tokenTransfer', '_beforeTokenTransfer', 'transfer', 'transferFrom'];
+
+// Balance mappings of common token bases (OpenZeppelin, reflection tokens), up to their
+// index; the index itself is matched by bracket counting, since it may hold other indexes
+const BALANCE_MAPPING = /\b(_balances|balances|_balanceOf|balanceOf|_rOwned|_tOwned|_gonBalances)\s*\[/g;
+
+// `to` is (or isn't) the pair: a sell condition. Either compared with a pair variable or
+// looked up in a pair mapping.
+const SELL_CONDITION = /\b(to|_to|recipient|receiver|dst)\s*[!=]=\s*\w*pair\w*|\b\w*pair\w*\s*[!=]=\s*(to|_to|recipient|receiver|dst)\b|\b\w*pairs?\w*\s*\[\s*(to|_to|recipient|receiver|dst)\s*\]/i;
+
+// The sender is looked up in an allow list or compared with a privileged account
+const WHITELIST_CONDITION = /\b\w*(white|allow|exclud|exempt|admin|team|owner)\w*\s*\[\s*(from|_from|sender|src)\s*\]|\b(from|_from|sender|src)\s*==\s*(owner\b|_owner\b|owner\(\)|\w*(dev|team|marketing|admin)\w*)/i;
+
+const FEE_VARIABLE = /\b(\w*(fee|tax)\w*)\s*(=|\+=)[^=]/i;
+
+// Blank out comments and string literals (newlines kept, so offsets map to the same lines)
+function stripSource(source) {
+    let output = '';
+    let i = 0;
+    while (i < source.length) {
+        const two = source.slice(i, i + 2);
+        let end;
+        if (two === '//') {
+            end = source.indexOf('\n', i);
+            end = end === -1 ? source.length : end;
+        } else if (two === '/*') {
+            end = source.indexOf('*/', i + 2);
+            end = end === -1 ? source.length : end + 2;
+        } else if (source[i] === '"' || source[i] === '\'') {
+            end = i + 1;
+            while (end < source.length && source[end] !== source[i] && source[end] !== '\n') {
+                end += source[end] === '\\' ? 2 : 1;
+            }
+            end = Math.min(end + 1, source.length);
+        } else {
+            output += source[i++];
+            continue;
+        }
+        output += source.slice(i, end).replace(/[^\n]/g, ' ');
+        i = end;
+    }
+    return output;
+}
+
+// Index just past the bracket that closes the one at `start`, or the end of the code
+function closingBracket(code, start, open, close) {
+    let depth = 0;
+    for (let i = start; i < code.length; i++) {
+        if (code[i] === open) {
+            depth++;
+        } else if (code[i] === close && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return code.length;
+}
+
+function lineOf(code, offset) {
+    return code.slice(0, offset).split('\n').length;
+}
+
+// Line of an offset inside a function body
+function lineIn(fn, offset) {
+    return fn.bodyLine + lineOf(fn.body, offset) - 1;
+}
+
+// Every function with a body: { name, params, header, body, line, bodyLine }
+function parseFunctions(code) {
+    const functions = [];
+    const pattern = /\bfunction\s+(\w+)\s*\(/g;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        const paramsEnd = closingBracket(code, match.index + match[0].length - 1, '(', ')');
+        const brace = code.indexOf('{', paramsEnd);
+        const semicolon = code.indexOf(';', paramsEnd);
+        if (brace === -1 || (semicolon !== -1 && semicolon < brace)) {
+            continue; // interface or abstract declaration
+        }
+        const params = code.slice(match.index + match[0].length, paramsEnd - 1)
+            .split(',')
+            .map(param => param.trim().split(/\s+/).pop())
+            .filter(name => name && /^\w+$/.test(name));
+        functions.push({
+            name: match[1],
+            params,
+            header: code.slice(paramsEnd, brace),
+            body: code.slice(brace, closingBracket(code, brace, '{', '}')),
+            line: lineOf(code, match.index),
+            bodyLine: lineOf(code, brace)
+        });
+    }
+    return functions;
+}
+
+// Callable only by a privileged account: an only* modifier or an owner check in the body
+function isRestricted(fn) {
+    return /\bonly\w+/.test(fn.header)
+        || /\b_checkOwner\s*\(|\b(msg\.sender|_msgSender\(\))\s*==\s*\w+|\w+\s*==\s*(msg\.sender|_msgSender\(\))/.test(fn.body);
+}
+
+// `if (...)` guards with their condition and the statement or block they guard
+function findGuards(body) {
+    const guards = [];
+    const pattern = /\bif\s*\(/g;
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+        const conditionEnd = closingBracket(body, match.index + match[0].length - 1, '(', ')');
+        const rest = body.slice(conditionEnd);
+        const offset = rest.search(/\S/);
+        const blockStart = conditionEnd + (offset === -1 ? 0 : offset);
+        const blockEnd = body[blockStart] === '{'
+            ? closingBracket(body, blockStart, '{', '}')
+            : body.indexOf(';', blockStart) + 1 || body.length;
+        guards.push({
+            index: match.index,
+            condition: body.slice(match.index + match[0].length, conditionEnd - 1),
+            block: body.slice(blockStart, blockEnd)
+        });
+    }
+    return guards;
+}
+
+// `require(...)` conditions in a piece of code, with their offsets
+function findRequires(code) {
+    const requires = [];
+    const pattern = /\brequire\s*\(/g;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        const end = closingBracket(code, match.index + match[0].length - 1, '(', ')');
+        requires.push({ index: match.index, condition: code.slice(match.index + match[0].length, end - 1) });
+    }
+    return requires;
+}
+
+// One-line condition, without the comma left by a blanked-out require message
+function compact(text) {
+    return text.replace(/\s+/g, ' ').trim().replace(/\s*,$/, '');
+}
+
+// Requires that only apply to sells, and sells restricted to an allow list
+function findSellRestrictions(functions) {
+    const conditional = [];
+    const whitelisted = [];
+
+    functions.filter(fn => TRANSFER_HOOKS.includes(fn.name)).forEach(fn => {
+        const guarded = findGuards(fn.body)
+            .filter(guard => SELL_CONDITION.test(guard.condition) && /\brequire\s*\(|\brevert\b/.test(guard.block))
+            .map(guard => ({ ...guard, requires: findRequires(guard.block).map(require => require.condition) }));
+        const direct = findRequires(fn.body)
+            .filter(require => SELL_CONDITION.test(require.condition))
+            .map(require => ({ ...require, requires: [require.condition] }));
+
+        [...guarded, ...direct].forEach(({ index, condition, requires }) => {
+            const finding = { function: fn.name, line: lineIn(fn, index), condition: compact(condition) };
+            if (requires.some(require => WHITELIST_CONDITION.test(require))) {
+                whitelisted.push(finding);
+            } else {
+                conditional.push(finding);
+            }
+        });
+    });
+
+    return { conditional, whitelisted };
+}
+
+// Restricted functions that write a fee variable from a parameter with no bound on it
+function findFeeSetters(functions) {
+    const unbounded = [];
+    const bounded = [];
+
+    functions.filter(isRestricted).forEach(fn => {
+        const statements = fn.body.split(';');
+        const assigned = statements
+            .map(statement => statement.match(FEE_VARIABLE) && { variable: statement.match(FEE_VARIABLE)[1], statement })
+            .filter(entry => entry && fn.params.some(param => new RegExp(`\\b${param}\\b`).test(entry.statement.split(/=/).slice(1).join('='))));
+        if (assigned.length === 0) {
+            return;
+        }
+
+        // A bound is any require/revert that compares a parameter or the fee variable
+        const checks = [...findRequires(fn.body).map(require => require.condition), ...findGuards(fn.body).filter(guard => /\brevert\b/.test(guard.block)).map(guard => guard.condition)];
+        const names = [...fn.params, ...assigned.map(entry => entry.variable)];
+        const isBounded = checks.some(condition => /[<>]/.test(condition) && names.some(name => new RegExp(`\\b${name}\\b`).test(condition)));
+        const finding = { function: fn.name, line: fn.line, variables: [...new Set(assigned.map(entry => entry.variable))] };
+        (isBounded ? bounded : unbounded).push(finding);
+    });
+
+    return { unbounded, bounded };
+}
+
+// An assignment to a balance mapping entry, such as `_balances[holders[i]] = amount`
+function writesBalance(code) {
+    for (const match of code.matchAll(BALANCE_MAPPING)) {
+        const indexEnd = closingBracket(code, match.index + match[0].length - 1, '[', ']');
+        if (/^\s*(=|\+=|-=)[^=]/.test(code.slice(indexEnd))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Restricted functions that write balances directly. Ones not named as a mint or burn are
+// the hidden kind: the supply check only simulates the usual names.
+function findBalanceWriters(functions) {
+    return functions
+        .filter(fn => !TRANSFER_HOOKS.includes(fn.name) && isRestricted(fn) && writesBalance(fn.body))
+        .map(fn => ({ function: fn.name, line: fn.line, hidden: !/mint|burn/i.test(fn.name) }));
+}
+
+const describeAt = finding => `${finding.function}() at line ${finding.line}`;
+
+// Review pasted Solidity source for honeypot patterns
+export function analyzeSource(source) {
+    const checks = [];
+    let riskScore = 0;
+
+    const code = stripSource(source);
+    const functions = parseFunctions(code);
+    if (functions.length === 0) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ No Functions in Source',
+            description: 'The pasted text has no Solidity function bodies to review.'
+        });
+        return { checks, riskScore, review: { functions: 0 } };
+    }
+
+    const sells = findSellRestrictions(functions);
+    const fees = findFeeSetters(functions);
+    const writers = findBalanceWriters(functions);
+    const hidden = writers.filter(writer => writer.hidden);
+
+    if (sells.whitelisted.length > 0) {
+        checks.push({
+            type: 'danger',
+            title: '🚨 Sells Limited to an Allow List',
+            description: 'A transfer to the pair requires the sender to be whitelisted or privileged - ordinary holders cannot sell.',
+            details: sells.whitelisted.map(finding => `${describeAt(finding)}: ${finding.condition}`)
+        });
+        riskScore += 50;
+    }
+    if (sells.conditional.length > 0) {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Sell-Only Requirements',
+            description: 'The transfer function has requirements that only apply when tokens go to the pair.',
+            details: sells.conditional.map(finding => `${describeAt(finding)}: ${finding.condition}`)
+        });
+        riskScore += 15;
+    }
+
+    if (fees.unbounded.length > 0) {
+        checks.push({
+            type: 'danger',
+            title: '🚨 Unbounded Fee Setters',
+            description: 'The owner can set fees with no upper limit in the source - up to 100%, which blocks sells.',
+            details: fees.unbounded.map(finding => `${describeAt(finding)} sets ${finding.variables.join(', ')}`)
+        });
+        riskScore += 25;
+    } else if (fees.bounded.length > 0) {
+        checks.push({
+            type: 'success',
+            title: '✓ Fee Setters Capped',
+            description: 'Every owner fee setter checks the new value against a limit.',
+            details: fees.bounded.map(finding => `${describeAt(finding)} sets ${finding.variables.join(', ')}`)
+        });
+    }
+
+    if (hidden.length > 0) {
+        checks.push({
+            type: 'danger',
+            title: '🚨 Hidden Balance Writers',
+            description: 'Owner-only functions not named as a mint or burn write token balances directly.',
+            details: hidden.map(describeAt)
+        });
+        riskScore += 40;
+    }
+
+    if (checks.length === 0 || checks.every(check => check.type === 'success')) {
+        checks.push({
+            type: 'success',
+            title: '✓ No Source Patterns Found',
+            description: `None of the reviewed honeypot patterns appear in ${functions.length} functions.`
+        });
+    }
+
+    return {
+        checks,
+        riskScore,
+        review: {
+            functions: functions.length,
+            restricted: functions.filter(isRestricted).map(fn => fn.name),
+            sellRestrictions: sells,
+            feeSetters: fees,
+            balanceWriters: writers
+        }
+    };
+}
@@ -0,0 +1,235 @@
+// Supply manipulation: what the owner's mint, setBalance and rebase functions actually do
+// when simulated, and how much supply was minted after liquidity was added
+import { TRANSFER_TOPIC, MINT_SCAN_SECONDS, MINT_HISTORY_LIMIT, BURN_ADDRESSES } from './config.js';
+import { formatNumber, shareOf } from './format.js';
+import { getLogsChunked, findCreationBlock, topicToAddress } from './logs.js';
+import { blocksFor } from './chains.js';
+import { extractSelectors } from './selectors.js';
+import { simulatePrivilegedCall, syntheticAddress } from './simulation.js';
+
+// Wallet that receives simulated mints and balance rewrites
+const MINT_TARGET = syntheticAddress('honeypot-checker.mint-target');
+const ZERO_TOPIC = ethers.utils.hexZeroPad(ethers.constants.AddressZero, 32);
+
+// Functions that create tokens or rewrite balances. `args` builds the call for a fresh
+// `target` wallet and `amount` (a tenth of the supply); `holder` is whose balance is watched.
+const SUPPLY_FUNCTIONS = [
+    { signature: 'mint(address,uint256)', kind: 'mint', holder: 'target', args: ({ target, amount }) => [target, amount] },
+    { signature: 'mint(uint256)', kind: 'mint', holder: 'caller', args: ({ amount }) => [amount] },
+    { signature: 'mintTo(address,uint256)', kind: 'mint', holder: 'target', args: ({ target, amount }) => [target, amount] },
+    { signature: 'mintTokens(address,uint256)', kind: 'mint', holder: 'target', args: ({ target, amount }) => [target, amount] },
+    { signature: '_mint(address,uint256)', kind: 'mint', holder: 'target', args: ({ target, amount }) => [target, amount] },
+    { signature: 'issue(uint256)', kind: 'mint', holder: 'caller', args: ({ amount }) => [amount] },
+    { signature: 'setBalance(address,uint256)', kind: 'balance', holder: 'target', args: ({ target, amount }) => [target, amount] },
+    { signature: 'rebase(uint256,int256)', kind: 'rebase', holder: 'pool', args: ({ amount }) => [1, amount] },
+    { signature: 'rebase(int256)', kind: 'rebase', holder: 'pool', args: ({ amount }) => [amount] },
+    { signature: 'rebase(uint256)', kind: 'rebase', holder: 'pool', args: ({ amount }) => [amount] }
+].map(entry => {
+    const fragment = ethers.utils.FunctionFragment.from(entry.signature);
+    return { ...entry, fragment, selector: ethers.utils.Interface.getSighash(fragment) };
+});
+
+const FINDINGS = {
+    mint: { title: '🚨 Owner Can Mint', riskScore: 40 },
+    balance: { title: '🚨 Owner Can Rewrite Balances', riskScore: 40 },
+    rebase: { title: '🚨 Owner Can Rebase Supply', riskScore: 25 }
+};
+
+function describeAmount(amount, supply, decimals) {
+    return `${shareOf(amount, supply).toFixed(2)}% of supply (${formatNumber(ethers.utils.formatUnits(amount, decimals))} tokens)`;
+}
+
+// Call each supply function in the dispatcher as the owner and keep what it changed
+async function probeSupplyFunctions(provider, tokenAddress, functions, owner, pool, supply) {
+    const amount = supply.isZero() ? ethers.constants.WeiPerEther : supply.div(10);
+    const holders = { target: MINT_TARGET, caller: owner, pool: pool ? pool.address : MINT_TARGET };
+
+    return Promise.all(functions.map(async entry => {
+        const data = ethers.utils.hexConcat([
+            entry.selector,
+            ethers.utils.defaultAbiCoder.encode(entry.fragment.inputs, entry.args({ target: MINT_TARGET, amount }))
+        ]);
+        const outcome = await simulatePrivilegedCall(provider, owner, tokenAddress, data, holders[entry.holder]);
+        const minted = outcome.supplyAfter.sub(outcome.supplyBefore);
+        const balanceChange = outcome.balanceAfter.sub(outcome.balanceBefore);
+        return {
+            signature: entry.signature,
+            kind: entry.kind,
+            ok: outcome.ok,
+            error: outcome.error,
+            supplyChange: minted.toString(),
+            balanceChange: balanceChange.toString(),
+            effective: outcome.ok && (!minted.isZero() || !balanceChange.isZero())
+        };
+    }));
+}
+
+function reportSupplyFunctions(probes, supply, decimals, renounced) {
+    const checks = [];
+    let riskScore = 0;
+
+    if (probes.length === 0) {
+        checks.push({ type: 'success', title: '✓ No Mint Functions', description: 'No mint, setBalance or rebase function in the contract.' });
+        return { checks, riskScore };
+    }
+    if (renounced) {
+        checks.push({
+            type: 'success',
+            title: 'ℹ️ Supply Functions Without Owner',
+            description: `${probes.map(probe => probe.signature).join(', ')} present, but ownership is renounced.`
+        });
+        return { checks, riskScore };
+    }
+
+    // One finding per kind, from the first function that demonstrated it
+    Object.entries(FINDINGS).forEach(([kind, finding]) => {
+        const probe = probes.find(entry => entry.kind === kind && entry.effective);
+        if (!probe) {
+            return;
+        }
+        const supplyChange = ethers.BigNumber.from(probe.supplyChange);
+        const balanceChange = ethers.BigNumber.from(probe.balanceChange);
+        const effect = supplyChange.isZero()
+            ? `a balance changed by ${describeAmount(balanceChange.abs(), supply, decimals)} while total supply stayed the same`
+            : `total supply ${supplyChange.isNegative() ? 'shrank' : 'grew'} by ${describeAmount(supplyChange.abs(), supply, decimals)}`;
+        checks.push({
+            type: 'danger',
+            title: finding.title,
+            description: `Simulated ${probe.signature} as the owner: ${effect}.`
+        });
+        riskScore += finding.riskScore;
+    });
+
+    if (checks.length === 0) {
+        checks.push({
+            type: 'success',
+            title: '✓ Supply Functions Locked',
+            description: `${probes.map(probe => probe.signature).join(', ')} had no effect when called by the owner.`,
+            details: probes.filter(probe => !probe.ok).map(probe => `${probe.signature}: ${probe.error}`)
+        });
+    }
+
+    return { checks, riskScore };
+}
+
+// Mint Transfers (from the zero address) over the scan window, oldest first, with the
+// supply after each one rebuilt backwards from today's total (burns are not subtracted)
+async function readMintHistory(provider, chain, tokenAddress, fromBlock, latestBlock, supply) {
+    const logs = await getLogsChunked(provider, {
+        address: tokenAddress,
+        topics: [TRANSFER_TOPIC, ZERO_TOPIC]
+    }, fromBlock, latestBlock, chain.logChunkSize);
+
+    const mints = logs
+        .filter(log => log.topics.length === 3)
+        .map(log => ({
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            to: topicToAddress(log.topics[2]),
+            amount: ethers.BigNumber.from(log.data)
+        }));
+
+    let total = supply;
+    for (let i = mints.length - 1; i >= 0; i--) {
+        mints[i].supplyAfter = total;
+        total = total.sub(mints[i].amount);
+        if (total.isNegative()) {
+            total = ethers.constants.Zero;
+        }
+    }
+    return mints;
+}
+
+// Check who can inflate or rewrite the supply and how much was minted after launch
+export async function checkSupplyControl(provider, contract, tokenAddress, { chain, disassembly, owner, pools, fromBlock, latestBlock }) {
+    const checks = [];
+    let riskScore = 0;
+
+    const [supply, decimals] = await Promise.all([
+        contract.totalSupply(),
+        contract.decimals().catch(() => 18)
+    ]);
+    const pool = pools[0] || null;
+
+    // Simulated calls to the supply functions the dispatcher exposes
+    const selectors = extractSelectors(disassembly.instructions);
+    const present = SUPPLY_FUNCTIONS.filter(entry => selectors.includes(entry.selector));
+    const renounced = owner === ethers.constants.AddressZero || BURN_ADDRESSES.includes(owner);
+    let probes = present.map(entry => ({ signature: entry.signature, kind: entry.kind }));
+    if (present.length > 0 && owner && !renounced) {
+        try {
+            probes = await probeSupplyFunctions(provider, tokenAddress, present, owner, pool, supply);
+        } catch (error) {
+            console.warn('Supply function simulation unavailable:', error.message);
+            probes = null;
+        }
+    }
+    if (present.length > 0 && !owner) {
+        // No owner() to read: whoever controls these functions can't be named or impersonated
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Supply Functions With Unknown Caller',
+            description: `${present.map(entry => entry.signature).join(', ')} present, but the contract has no owner() to attribute them to, so they were not simulated.`
+        });
+        riskScore += 15;
+    } else if (probes) {
+        const functionsCheck = reportSupplyFunctions(probes, supply, decimals, renounced);
+        checks.push(...functionsCheck.checks);
+        riskScore += functionsCheck.riskScore;
+    } else {
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Supply Functions Not Simulated',
+            description: `${present.map(entry => entry.signature).join(', ')} present; simulating them needs an RPC with eth_call state overrides.`
+        });
+    }
+
+    // Mints since liquidity was added. The deepest pool's deployment stands in for the
+    // launch: liquidity is normally added in the transaction that creates the pair.
+    const windowStart = Math.max(0, latestBlock - blocksFor(chain, MINT_SCAN_SECONDS) + 1);
+    const scanStart = fromBlock === null ? windowStart : Math.max(fromBlock, windowStart);
+    const [mints, liquidityBlock] = await Promise.all([
+        readMintHistory(provider, chain, tokenAddress, scanStart, latestBlock, supply),
+        pool ? findCreationBlock(provider, pool.address, latestBlock) : null
+    ]);
+
+    const afterLaunch = liquidityBlock === null ? [] : mints.filter(mint => mint.blockNumber > liquidityBlock);
+    const mintedAfterLaunch = afterLaunch.reduce((total, mint) => total.add(mint.amount), ethers.constants.Zero);
+    const afterShare = shareOf(mintedAfterLaunch, supply);
+
+    if (liquidityBlock !== null) {
+        const since = liquidityBlock >= scanStart
+            ? `since liquidity was added in block ${liquidityBlock}`
+            : `in the last ${latestBlock - scanStart + 1} blocks (liquidity was added in block ${liquidityBlock})`;
+        const description = `${afterLaunch.length} mint${afterLaunch.length === 1 ? '' : 's'} of ${describeAmount(mintedAfterLaunch, supply, decimals)} ${since}.`;
+        const details = afterLaunch.slice(-5).map(mint =>
+            `Block ${mint.blockNumber}: ${formatNumber(ethers.utils.formatUnits(mint.amount, decimals))} to ${mint.to}`);
+        if (afterShare >= 5) {
+            checks.push({ type: 'danger', title: '🚨 Supply Minted After Launch', description, details });
+            riskScore += 30;
+        } else if (!mintedAfterLaunch.isZero()) {
+            checks.push({ type: 'warning', title: '⚠️ Tokens Minted After Launch', description, details });
+            riskScore += 10;
+        } else {
+            checks.push({ type: 'success', title: '✓ No Mints After Launch', description: `No tokens minted ${since}.` });
+        }
+    }
+
+    return {
+        checks,
+        riskScore,
+        supply: {
+            totalSupply: supply.toString(),
+            functions: probes,
+            liquidityBlock,
+            scannedFrom: scanStart,
+            mintCount: mints.length,
+            mintedAfterLaunch: mintedAfterLaunch.toString(),
+            mints: mints.slice(-MINT_HISTORY_LIMIT).map(mint => ({
+                ...mint,
+                amount: mint.amount.toString(),
+                supplyAfter: mint.supplyAfter.toString()
+            }))
+        }
+    };
+}
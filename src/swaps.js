@@ -0,0 +1,187 @@
+// Swap history classification
+import { TRANSFER_TOPIC, SWAP_SCAN_SECONDS } from './config.js';
+import { getLogsChunked, topicToAddress } from './logs.js';
+import { blocksFor } from './chains.js';
+import { describePool } from './liquidity.js';
+
+// Swap events per pool type; decode() returns the token amount the pool received and sent
+const SWAP_EVENTS = {
+    v2: {
+        abi: 'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+        decode: (args, tokenIsToken0) => ({
+            tokenIn: tokenIsToken0 ? args.amount0In : args.amount1In,
+            tokenOut: tokenIsToken0 ? args.amount0Out : args.amount1Out
+        })
+    },
+    solidly: {
+        abi: 'event Swap(address indexed sender, address indexed to, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out)',
+        decode: (args, tokenIsToken0) => ({
+            tokenIn: tokenIsToken0 ? args.amount0In : args.amount1In,
+            tokenOut: tokenIsToken0 ? args.amount0Out : args.amount1Out
+        })
+    },
+    v3: {
+        // Signed deltas from the pool's point of view: positive means the pool received tokens
+        abi: 'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+        decode: (args, tokenIsToken0) => {
+            const delta = tokenIsToken0 ? args.amount0 : args.amount1;
+            return {
+                tokenIn: delta.gt(0) ? delta : ethers.constants.Zero,
+                tokenOut: delta.lt(0) ? delta.abs() : ethers.constants.Zero
+            };
+        }
+    }
+};
+
+// Find who bought or sold in each swap from the token Transfer that moved the tokens.
+// Routers pass the user's tokens straight to/from the pool, so the Transfer's
+// counterparty is the real trader; the swap event's `to` is often just a router.
+// `transfersByTx` maps transaction hashes to the pool's token Transfers, in log order.
+// Fees the token takes to itself in the same transfer are not a trader.
+function findSwapTrader(swap, transfersByTx, poolAddress, tokenAddress, isBuy) {
+    const candidates = (transfersByTx.get(swap.transactionHash) || []).filter(transfer =>
+        transfer.logIndex < swap.logIndex &&
+        (isBuy
+            ? transfer.from === poolAddress && transfer.to !== tokenAddress
+            : transfer.to === poolAddress && transfer.from !== tokenAddress)
+    );
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const nearest = candidates[candidates.length - 1];
+    return isBuy ? nearest.to : nearest.from;
+}
+
+// Classify recent swaps on a pool and look for "nobody can sell" patterns.
+// `blocks` is how far back from latestBlock to look, the last 24 hours by default.
+export async function checkSwapHistory(provider, pool, tokenAddress, {
+    chain,
+    fromBlock,
+    latestBlock,
+    privileged,
+    blocks = blocksFor(chain, SWAP_SCAN_SECONDS)
+}) {
+    const checks = [];
+    let riskScore = 0;
+    let swaps = null;
+
+    if (!pool) {
+        return { checks, riskScore, swaps };
+    }
+
+    try {
+        const swapEvent = SWAP_EVENTS[pool.type];
+        const swapInterface = new ethers.utils.Interface([swapEvent.abi]);
+        const swapTopic = swapInterface.getEventTopic('Swap');
+        const poolTopic = ethers.utils.hexZeroPad(pool.address, 32);
+        const windowStart = Math.max(0, latestBlock - blocks + 1);
+        const scanStart = fromBlock === null ? windowStart : Math.max(fromBlock, windowStart);
+
+        const [swapLogs, outgoing, incoming] = await Promise.all([
+            getLogsChunked(provider, { address: pool.address, topics: [swapTopic] }, scanStart, latestBlock, chain.logChunkSize),
+            getLogsChunked(provider, { address: tokenAddress, topics: [TRANSFER_TOPIC, poolTopic] }, scanStart, latestBlock, chain.logChunkSize),
+            getLogsChunked(provider, { address: tokenAddress, topics: [TRANSFER_TOPIC, null, poolTopic] }, scanStart, latestBlock, chain.logChunkSize)
+        ]);
+
+        const transfersByTx = new Map();
+        outgoing.concat(incoming)
+            .filter(log => log.topics.length === 3)
+            .sort((a, b) => a.logIndex - b.logIndex)
+            .forEach(log => {
+                if (!transfersByTx.has(log.transactionHash)) {
+                    transfersByTx.set(log.transactionHash, []);
+                }
+                transfersByTx.get(log.transactionHash).push({
+                    logIndex: log.logIndex,
+                    from: topicToAddress(log.topics[1]),
+                    to: topicToAddress(log.topics[2])
+                });
+            });
+
+        const privilegedSet = new Set(privileged.filter(Boolean).map(address => address.toLowerCase()));
+        const buyers = new Set();
+        const sellers = new Set();
+        let buys = 0;
+        let sells = 0;
+        let privilegedSells = 0;
+
+        swapLogs.forEach(log => {
+            const { args } = swapInterface.parseLog(log);
+            const { tokenIn, tokenOut } = swapEvent.decode(args, pool.tokenIsToken0);
+            const isBuy = tokenOut.gt(tokenIn);
+            const trader = findSwapTrader(log, transfersByTx, pool.address, tokenAddress, isBuy) ||
+                (isBuy ? args.to || args.recipient : args.sender);
+
+            if (isBuy) {
+                buys++;
+                buyers.add(trader.toLowerCase());
+            } else {
+                sells++;
+                sellers.add(trader.toLowerCase());
+                if (privilegedSet.has(trader.toLowerCase())) {
+                    privilegedSells++;
+                }
+            }
+        });
+
+        const publicSellers = [...sellers].filter(address => !privilegedSet.has(address));
+        swaps = {
+            pool: pool.address,
+            dex: describePool(pool),
+            fromBlock: scanStart,
+            toBlock: latestBlock,
+            buys,
+            sells,
+            uniqueBuyers: buyers.size,
+            uniqueSellers: sellers.size,
+            privilegedSells,
+            publicSellers: publicSellers.length
+        };
+
+        const description = `${buys} buys from ${buyers.size} wallets, ${sells} sells from ${sellers.size} wallets on ${swaps.dex} over the last ${latestBlock - scanStart + 1} blocks`;
+
+        if (buys >= 5 && sells > 0 && publicSellers.length === 0) {
+            checks.push({
+                type: 'danger',
+                title: '🚨 Only Privileged Wallets Sell',
+                description: `${description}. Every sell came from the owner, deployer or token contract.`
+            });
+            riskScore += 40;
+        } else if (buys >= 5 && sells === 0) {
+            checks.push({
+                type: 'danger',
+                title: '🚨 Nobody Has Sold',
+                description: `${description}. Many buys and not a single sell is a classic honeypot signature.`
+            });
+            riskScore += 30;
+        } else if (buys + sells === 0) {
+            checks.push({
+                type: 'success',
+                title: 'ℹ️ No Recent Trading',
+                description: `No swaps on ${swaps.dex} over the last ${latestBlock - scanStart + 1} blocks`
+            });
+        } else if (sells === 0) {
+            checks.push({
+                type: 'success',
+                title: 'ℹ️ Too Few Trades',
+                description: `${description}. Too few buys to read anything into the missing sells.`
+            });
+        } else {
+            checks.push({
+                type: 'success',
+                title: '✓ Sells Observed',
+                description: `${description}. ${publicSellers.length} ordinary wallets sold.`
+            });
+        }
+    } catch (error) {
+        console.error('Swap history error:', error);
+        checks.push({
+            type: 'warning',
+            title: '⚠️ Swap History Unavailable',
+            description: 'Could not read swap events for the main pool.'
+        });
+    }
+
+    return { checks, riskScore, swaps };
+}
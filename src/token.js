@@ -0,0 +1,78 @@
+// ERC20 metadata and ownership checks
+import { BURN_ADDRESSES } from './config.js';
+
+// Read the ERC20 metadata
+export async function checkTokenInfo(contract) {
+    const checks = [];
+    let riskScore = 0;
+    const tokenInfo = {};
+
+    try {
+        const [name, symbol, decimals, totalSupply] = await Promise.all([
+            contract.name(),
+            contract.symbol(),
+            contract.decimals(),
+            contract.totalSupply()
+        ]);
+        Object.assign(tokenInfo, { name, symbol, decimals, totalSupply: totalSupply.toString() });
+
+        checks.push({
+            type: 'success',
+            title: '✓ ERC20 Standard',
+            description: 'Token implements standard ERC20 functions'
+        });
+    } catch (error) {
+        checks.push({
+            type: 'danger',
+            title: '⚠️ Non-Standard Token',
+            description: 'Token does not fully implement ERC20 standard'
+        });
+        riskScore += 5; // Reduced from 10
+    }
+
+    return { checks, riskScore, tokenInfo };
+}
+
+// Check ownership
+export async function checkOwnership(contract) {
+    const checks = [];
+    let riskScore = 0;
+    let owner = null;
+
+    try {
+        // Asked together so both lookups share a round trip; owner() wins when both answer
+        const [ownerCall, getOwnerCall] = await Promise.allSettled([contract.owner(), contract.getOwner()]);
+        if (ownerCall.status === 'fulfilled') {
+            owner = ownerCall.value;
+        } else if (getOwnerCall.status === 'fulfilled') {
+            owner = getOwnerCall.value;
+        }
+
+        if (owner) {
+            // Zero or burn address owner (renounced)
+            if (BURN_ADDRESSES.includes(owner)) {
+                checks.push({
+                    type: 'success',
+                    title: '✓ Ownership Renounced',
+                    description: 'Contract ownership has been renounced'
+                });
+            } else {
+                checks.push({
+                    type: 'success',
+                    title: 'ℹ️ Has Owner',
+                    description: `Owner: ${owner.slice(0, 6)}...${owner.slice(-4)} - Common for managed tokens`
+                });
+            }
+        } else {
+            checks.push({
+                type: 'success',
+                title: '✓ No Owner Function',
+                description: 'Contract does not have owner functions'
+            });
+        }
+    } catch (error) {
+        console.error('Ownership check error:', error);
+    }
+
+    return { checks, riskScore, owner };
+}
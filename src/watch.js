@@ -0,0 +1,183 @@
+// Watchlist monitoring: poll watched tokens and their pools for events that can
+// change the risk, re-run the affected checks and report risk changes
+import { WATCH_POLL_INTERVAL, WATCH_CATCHUP_SECONDS } from './config.js';
+import { getLogsChunked } from './logs.js';
+import { getChain, blocksFor } from './chains.js';
+import { recheckToken } from './engine.js';
+import { historyKey, diffScans } from './history.js';
+
+const UPGRADE_CHECKS = ['proxy', 'bytecode', 'fingerprint', 'ownership', 'privileged-functions', 'simulation', 'supply'];
+
+// Events worth a re-check, by where they are emitted and which checks they affect
+const WATCHED_EVENTS = [
+    { signature: 'OwnershipTransferred(address,address)', source: 'token', label: 'Ownership transferred', checks: ['ownership', 'privileged-functions', 'supply'] },
+    { signature: 'Paused(address)', source: 'token', label: 'Token paused', checks: ['simulation'] },
+    { signature: 'Unpaused(address)', source: 'token', label: 'Token unpaused', checks: ['simulation'] },
+    { signature: 'Upgraded(address)', source: 'token', label: 'Implementation upgraded', checks: UPGRADE_CHECKS },
+    { signature: 'AdminChanged(address,address)', source: 'token', label: 'Proxy admin changed', checks: UPGRADE_CHECKS },
+    { signature: 'BeaconUpgraded(address)', source: 'token', label: 'Beacon upgraded', checks: UPGRADE_CHECKS },
+    { signature: 'Sync(uint112,uint112)', source: 'pool', label: 'Pool reserves changed', checks: ['liquidity'] },
+    { signature: 'Sync(uint256,uint256)', source: 'pool', label: 'Pool reserves changed', checks: ['liquidity'] },
+    { signature: 'Burn(address,uint256,uint256,address)', source: 'pool', label: 'Liquidity withdrawn', checks: ['liquidity', 'lp-lock'] },
+    { signature: 'Burn(address,int24,int24,uint128,uint256,uint256)', source: 'pool', label: 'Liquidity withdrawn', checks: ['liquidity', 'lp-lock'] }
+].map(event => ({ ...event, topic: ethers.utils.id(event.signature) }));
+
+// Ordinary token traffic, never a reason to re-check
+const IGNORED_TOPICS = [
+    ethers.utils.id('Transfer(address,address,uint256)'),
+    ethers.utils.id('Approval(address,address,uint256)')
+];
+
+// What a log means for a watched token, or null when it changes nothing. Fee setters
+// have no standard event, so any other event of the token re-runs the simulation.
+export function classifyWatchLog(log, tokenAddress) {
+    const source = log.address.toLowerCase() === tokenAddress.toLowerCase() ? 'token' : 'pool';
+    const [topic] = log.topics;
+    const known = WATCHED_EVENTS.find(event => event.topic === topic && event.source === source);
+    if (known) {
+        return { label: known.label, checks: known.checks, blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+    }
+    if (source === 'token' && topic && !IGNORED_TOPICS.includes(topic)) {
+        return {
+            label: `Contract event ${topic.slice(0, 10)}`,
+            checks: ['simulation'],
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+        };
+    }
+    return null;
+}
+
+// A re-check needs an alert when the risk level moved or liquidity was pulled
+function findAlertChanges(previous, results) {
+    const changes = diffScans(previous, results);
+    const levelChanged = previous.riskLevel.level !== results.riskLevel.level;
+    return changes.filter(change => (levelChanged && change.field === 'score') ||
+        (change.field === 'liquidity' && change.type === 'danger'));
+}
+
+// Watch tokens while the process (or page) runs.
+//   getProvider(chain) - provider for a chain entry of CHAINS
+//   getFingerprints()  - the user's labeled templates, read at every re-check
+//   recheck(previous, checkIds, options) - re-runs the checks with recheckToken's options
+//                        and resolves to the new results; recheckToken itself by default
+//   interval           - ms between polls
+//   onEvent(entry, events)          - relevant events were found; checks are re-run next
+//   onUpdate(entry, previous)       - an entry's results were refreshed
+//   onAlert(entry, { previous, changes, events }) - the risk level changed or liquidity dropped sharply
+//   onError(entry, error)           - a poll failed; the token stays watched
+export function createWatcher({
+    getProvider,
+    getFingerprints = () => [],
+    recheck = recheckToken,
+    interval = WATCH_POLL_INTERVAL,
+    onEvent = () => {},
+    onUpdate = () => {},
+    onAlert = () => {},
+    onError = () => {}
+}) {
+    const entries = new Map();
+    let timer = null;
+    let polling = false;
+
+    // Read what happened since the last poll and re-check the token if needed
+    const pollEntry = async entry => {
+        const chain = getChain(entry.results.chain.id);
+        const provider = getProvider(chain);
+        const latestBlock = await provider.getBlockNumber();
+        const fromBlock = Math.max(entry.lastBlock + 1, latestBlock - blocksFor(chain, WATCH_CATCHUP_SECONDS));
+        if (fromBlock > latestBlock) {
+            return;
+        }
+
+        const addresses = [entry.results.address, ...(entry.results.evidence.liquidity || []).map(pool => pool.address)];
+        const logs = [];
+        for (const address of addresses) {
+            logs.push(...await getLogsChunked(provider, { address }, fromBlock, latestBlock, chain.logChunkSize));
+        }
+        entry.lastBlock = latestBlock;
+
+        const events = logs
+            .map(log => classifyWatchLog(log, entry.results.address))
+            .filter(Boolean);
+        if (events.length === 0) {
+            return;
+        }
+        entry.events = [...events, ...entry.events].slice(0, 20);
+        onEvent(entry, events);
+
+        const checkIds = [...new Set(events.flatMap(event => event.checks))];
+        const previous = entry.results;
+        entry.results = await recheck(previous, checkIds, {
+            ...entry.options,
+            provider,
+            chain,
+            profile: entry.profile,
+            fingerprints: getFingerprints()
+        });
+        onUpdate(entry, previous);
+
+        const changes = findAlertChanges(previous, entry.results);
+        if (changes.length > 0) {
+            onAlert(entry, { previous, changes, events });
+        }
+    };
+
+    // Entries are polled one at a time so a long watchlist doesn't flood the RPC
+    const poll = async () => {
+        timer = null;
+        polling = true;
+        for (const entry of [...entries.values()]) {
+            try {
+                await pollEntry(entry);
+            } catch (error) {
+                onError(entry, error);
+            }
+        }
+        polling = false;
+        schedule();
+    };
+
+    const schedule = () => {
+        if (!timer && !polling && entries.size > 0) {
+            timer = setTimeout(poll, interval);
+        }
+    };
+
+    return {
+        // Start watching from the block `results` were taken at. `profile` is the
+        // scoring profile re-checks are scored with, so levels stay comparable;
+        // `options` are the scan's other analyzeToken options (abi, source, swapBlocks)
+        // and are passed to every re-check.
+        watch(results, profile, options = {}) {
+            const key = historyKey(results);
+            if (!entries.has(key)) {
+                entries.set(key, { key, results, profile, options, lastBlock: results.blockNumber, events: [] });
+            }
+            schedule();
+            return entries.get(key);
+        },
+
+        unwatch(key) {
+            entries.delete(key);
+            if (entries.size === 0) {
+                clearTimeout(timer);
+                timer = null;
+            }
+        },
+
+        has(key) {
+            return entries.has(key);
+        },
+
+        list() {
+            return [...entries.values()];
+        },
+
+        stop() {
+            entries.clear();
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
@@ -0,0 +1,48 @@
+// checkFingerprint on a plain ERC20 + Ownable (fixtures/PlainToken.sol)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { disassemble, createFingerprint } from '../src/node.js';
+import { checkFingerprint } from '../src/fingerprint.js';
+
+const { runtime } = JSON.parse(readFileSync(new URL('./fixtures/plain-token.json', import.meta.url), 'utf8'));
+const disassembly = disassemble(runtime);
+const fingerprint = createFingerprint(disassembly);
+
+// A honeypot family labeled from a contract built on the same skeleton as the plain token
+const family = overrides => ({
+    id: 'test-family',
+    family: 'Test family',
+    verdict: 'honeypot',
+    description: '',
+    minhash: fingerprint.minhash,
+    selectors: fingerprint.selectors,
+    ...overrides
+});
+
+test('a plain token matches the standard interface and scores nothing', () => {
+    const result = checkFingerprint(disassembly);
+    assert.equal(result.riskScore, 0);
+    assert.deepEqual(result.checks.map(check => check.type), ['success']);
+    assert.match(result.checks[0].title, /OpenZeppelin ERC20 \+ Ownable \(v5\) \(100%\)/);
+});
+
+test('a family sharing only the standard skeleton does not flag a plain token', () => {
+    const result = checkFingerprint(disassembly, [family({ hash: ethers.utils.id('another build') })]);
+    assert.equal(result.riskScore, 0);
+    assert.ok(result.checks.every(check => check.type === 'success'));
+});
+
+test('a family whose own functions the plain token lacks does not flag it', () => {
+    const result = checkFingerprint(disassembly, [family({
+        selectors: [...fingerprint.selectors, ethers.utils.id('setBots(address[],bool)').slice(0, 10)]
+    })]);
+    assert.equal(result.riskScore, 0);
+    assert.ok(result.checks.every(check => check.type === 'success'));
+});
+
+test('identical normalized bytecode is a honeypot match', () => {
+    const result = checkFingerprint(disassembly, [family({ hash: fingerprint.hash })]);
+    assert.equal(result.riskScore, 60);
+    assert.equal(result.checks[0].title, '🚨 Honeypot Template: Test family (100%)');
+});
@@ -0,0 +1,38 @@
+// analyzeSource on small Solidity snippets
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/node.js';
+import { analyzeSource } from '../src/source.js';
+
+const titles = source => analyzeSource(source).checks.map(check => check.title);
+
+// An owner-only function named like something harmless
+const restricted = body => `
+contract Token {
+    mapping(address => uint256) private _balances;
+    function syncHolders(address[] calldata holders, uint256 amount) external onlyOwner {
+        ${body}
+    }
+}`;
+
+test('flags a balance write through a nested index in a loop', () => {
+    const source = restricted(`
+        for (uint256 i = 0; i < holders.length; i++) {
+            _balances[holders[i]] = amount;
+        }`);
+    assert.ok(titles(source).includes('🚨 Hidden Balance Writers'));
+    assert.deepEqual(analyzeSource(source).review.balanceWriters.map(writer => writer.function), ['syncHolders']);
+});
+
+test('flags a balance write through a plain index', () => {
+    assert.ok(titles(restricted('_balances[holders[0]] -= amount; _balances[msg.sender] += amount;')).includes('🚨 Hidden Balance Writers'));
+});
+
+test('does not count comparisons or reads of a nested index as writes', () => {
+    const source = restricted(`
+        for (uint256 i = 0; i < holders.length; i++) {
+            require(_balances[holders[i]] == amount);
+            emit Synced(holders[i], _balances[holders[i]]);
+        }`);
+    assert.deepEqual(titles(source), ['✓ No Source Patterns Found']);
+});
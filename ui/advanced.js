@@ -0,0 +1,61 @@
+// Advanced panel: an ABI or Solidity source pasted for the token being scanned.
+// Not stored - it belongs to one token and is cleared by hand.
+import { parseAbi } from '../src/index.js';
+
+// DOM Elements
+const advancedSummary = document.getElementById('advanced-summary');
+const abiInput = document.getElementById('abi-input');
+const sourceInput = document.getElementById('source-input');
+const advancedClearButton = document.getElementById('advanced-clear');
+const advancedMessage = document.getElementById('advanced-message');
+
+export function initAdvancedPanel() {
+    abiInput.addEventListener('input', updateAdvancedSummary);
+    sourceInput.addEventListener('input', updateAdvancedSummary);
+    advancedClearButton.addEventListener('click', () => {
+        abiInput.value = '';
+        sourceInput.value = '';
+        updateAdvancedSummary();
+    });
+    updateAdvancedSummary();
+}
+
+// The ABI as parsed fragments, or null when the box is empty; throws on invalid JSON
+function readAbi() {
+    const text = abiInput.value.trim();
+    return text ? parseAbi(text) : null;
+}
+
+// `abi` and `source` options for analyzeToken. An invalid ABI fails the scan rather
+// than silently falling back to the ERC20 ABI.
+export function getAdvancedOptions() {
+    let abi;
+    try {
+        abi = readAbi();
+    } catch (error) {
+        throw new Error(`Invalid ABI: ${error.message}`);
+    }
+    const source = sourceInput.value.trim();
+    return { abi, source: source || null };
+}
+
+function updateAdvancedSummary() {
+    const parts = [];
+    advancedMessage.textContent = '';
+    advancedMessage.classList.remove('error');
+
+    try {
+        const abi = readAbi();
+        if (abi) {
+            parts.push(`ABI, ${abi.length} entries`);
+        }
+    } catch (error) {
+        advancedMessage.textContent = `Invalid ABI: ${error.message}`;
+        advancedMessage.classList.add('error');
+    }
+    if (sourceInput.value.trim()) {
+        parts.push(`source, ${sourceInput.value.trim().split('\n').length} lines`);
+    }
+
+    advancedSummary.textContent = parts.length > 0 ? `(${parts.join(' • ')})` : '';
+}
@@ -0,0 +1,115 @@
+// Analysis worker client: scans and batch scans run in worker.js and are reported back
+// through callbacks. Each job can be cancelled; its promise then rejects with an AbortError.
+
+// Started on first use
+let worker = null;
+let nextId = 1;
+const jobs = new Map();
+
+// Endpoint health the worker last reported, by chain id, and who wants to hear about it
+const rpcHealth = new Map();
+let onRpcHealth = () => {};
+
+// A worker script must come from the page's own origin. Embedded on another site (the
+// <honeypot-check> element), a same-origin blob module imports the real one instead.
+function createWorker() {
+    const url = new URL('../worker.js', import.meta.url);
+    if (url.origin === location.origin) {
+        return new Worker(url, { type: 'module' });
+    }
+    const shim = new Blob([`import ${JSON.stringify(url.href)};`], { type: 'text/javascript' });
+    return new Worker(URL.createObjectURL(shim), { type: 'module' });
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = createWorker();
+        worker.addEventListener('message', handleMessage);
+
+        // The worker failed to load or crashed: every job in flight fails, the next one starts a new worker
+        worker.addEventListener('error', event => {
+            console.error('Analysis worker failed:', event.message);
+            const error = new Error(`Analysis worker failed${event.message ? `: ${event.message}` : ''}`);
+            jobs.forEach(job => job.reject(error));
+            jobs.clear();
+            worker.terminate();
+            worker = null;
+        });
+    }
+    return worker;
+}
+
+function handleMessage({ data: message }) {
+    if (message.type === 'health') {
+        rpcHealth.set(message.chain, message.endpoints);
+        onRpcHealth(message.chain);
+        return;
+    }
+
+    const job = jobs.get(message.id);
+    if (!job) {
+        return;
+    }
+
+    if (message.type === 'progress') {
+        job.onProgress(message.event);
+    } else if (message.type === 'entry') {
+        job.onEntry(message.entry);
+    } else {
+        jobs.delete(message.id);
+        if (message.type === 'done') {
+            job.resolve({ results: message.results, rpc: message.rpc });
+        } else if (message.type === 'cancelled') {
+            job.reject(new DOMException('Scan cancelled', 'AbortError'));
+        } else {
+            job.reject(new Error(message.message));
+        }
+    }
+}
+
+// Post a job; returns { promise, cancel }
+function startJob(request, { onProgress = () => {}, onEntry = () => {} }) {
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+        jobs.set(id, { resolve, reject, onProgress, onEntry });
+    });
+    getWorker().postMessage({ ...request, id });
+
+    return {
+        promise,
+        cancel: () => {
+            if (jobs.has(id)) {
+                worker.postMessage({ type: 'cancel', id });
+            }
+        }
+    };
+}
+
+// Analyze one token in the worker. Options are analyzeToken's, with the chain given as
+// a CHAINS entry plus the endpoints to use; `onProgress` gets analyzeToken's events.
+// Resolves to { results, rpc: { endpoint, failovers } }.
+export function runScan(address, { chain, rpcUrls, profile, fingerprints = [], abi = null, source = null, onProgress }) {
+    return startJob({ type: 'scan', address, chain: chain.id, rpcUrls, profile, fingerprints, abi, source }, { onProgress });
+}
+
+// scanBatch in the worker; `onUpdate(entry)` fires whenever an entry starts or finishes.
+// Resolves to { results: entries, rpc }.
+export function runBatch(addresses, { chain, rpcUrls, profile, fingerprints = [], concurrency, onUpdate }) {
+    return startJob({ type: 'batch', addresses, chain: chain.id, rpcUrls, profile, fingerprints, concurrency }, { onEntry: onUpdate });
+}
+
+// recheckToken in the worker, with runScan's options. Resolves to { results, rpc }.
+export function runRecheck(previous, checkIds, { chain, rpcUrls, profile, fingerprints = [], abi = null, source = null, onProgress }) {
+    return startJob({ type: 'recheck', previous, checkIds, chain: chain.id, rpcUrls, profile, fingerprints, abi, source }, { onProgress });
+}
+
+// Endpoint statistics of the worker's providers (FailoverProvider.getEndpointHealth())
+// for a chain, as of its latest job; null before the first one
+export function getRpcHealth(chain) {
+    return rpcHealth.get(chain.id) || null;
+}
+
+// `listener(chainId)` is called whenever a job has updated a chain's endpoint health
+export function setRpcHealthListener(listener) {
+    onRpcHealth = listener;
+}
@@ -0,0 +1,192 @@
+// Batch scanning panel: address list in, sortable results table out
+import { parseAddressList, summarizeBatchEntry, batchToCsv } from '../src/index.js';
+import { runBatch } from './analysis.js';
+
+// DOM Elements
+const batchInput = document.getElementById('batch-input');
+const batchUploadButton = document.getElementById('batch-upload');
+const batchFileInput = document.getElementById('batch-file');
+const batchConcurrency = document.getElementById('batch-concurrency');
+const batchStartButton = document.getElementById('batch-start');
+const batchStatus = document.getElementById('batch-status');
+const batchResults = document.getElementById('batch-results');
+const batchBody = document.getElementById('batch-body');
+const batchHeaders = document.querySelectorAll('#batch-table th[data-sort]');
+const batchExportButton = document.getElementById('batch-export');
+
+// Severity order used when sorting by risk level
+const LEVEL_RANK = { safe: 0, warning: 1, danger: 2 };
+
+// Sort keys of the table columns
+const SORT_VALUES = {
+    name: row => row.name.toLowerCase(),
+    symbol: row => row.symbol.toLowerCase(),
+    riskScore: row => row.riskScore,
+    level: row => (row.level ? LEVEL_RANK[row.level] : null),
+    topCheck: row => (row.topCheck ? row.topCheck.points : null)
+};
+
+let entries = [];
+let sort = { key: 'riskScore', descending: true };
+let hooks = null;
+
+// `ensureProvider(onStatus)` connects to the selected network, `getChain()` returns it,
+// `getRpcUrls()` its endpoints for the analysis worker, `getProfile()` returns the
+// scoring profile, `getFingerprints()` the user's labeled templates, `onSelect(results)`
+// opens a token's full results card and `onScanned(results)` is called for every finished scan
+export function initBatchScanner(options) {
+    hooks = options;
+
+    batchStartButton.addEventListener('click', handleBatchScan);
+    batchUploadButton.addEventListener('click', () => batchFileInput.click());
+    batchFileInput.addEventListener('change', handleBatchFile);
+    batchExportButton.addEventListener('click', exportBatchCsv);
+
+    batchHeaders.forEach(header => {
+        header.addEventListener('click', () => {
+            const key = header.dataset.sort;
+            sort = { key, descending: sort.key === key ? !sort.descending : key === 'riskScore' || key === 'level' };
+            renderBatchTable();
+        });
+    });
+}
+
+// Append the addresses of an uploaded CSV to the list
+async function handleBatchFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    const text = await file.text();
+    const found = parseAddressList(text);
+    batchInput.value = [batchInput.value.trim(), ...found].filter(Boolean).join('\n');
+    batchStatus.textContent = `Loaded ${found.length} address${found.length === 1 ? '' : 'es'} from ${file.name}`;
+    event.target.value = '';
+}
+
+// Scan every listed address
+async function handleBatchScan() {
+    const addresses = parseAddressList(batchInput.value);
+    if (addresses.length === 0) {
+        batchStatus.textContent = 'No valid addresses found (0x followed by 40 hexadecimal characters)';
+        return;
+    }
+
+    batchStartButton.disabled = true;
+    try {
+        const chain = hooks.getChain();
+        await hooks.ensureProvider(message => {
+            batchStatus.textContent = message;
+        });
+
+        entries = addresses.map(address => ({ address, status: 'pending', results: null, error: null }));
+        batchResults.classList.remove('hidden');
+        renderBatchTable();
+
+        await runBatch(addresses, {
+            chain,
+            rpcUrls: hooks.getRpcUrls(),
+            profile: hooks.getProfile(),
+            fingerprints: hooks.getFingerprints(),
+            concurrency: Number(batchConcurrency.value),
+            onUpdate: entry => {
+                const index = entries.findIndex(existing => existing.address === entry.address);
+                entries[index] = { ...entry };
+                renderBatchTable();
+                if (entry.status === 'done') {
+                    hooks.onScanned(entry.results);
+                }
+            }
+        }).promise;
+    } catch (error) {
+        batchStatus.textContent = error.message || 'Batch scan failed';
+    } finally {
+        batchStartButton.disabled = false;
+    }
+}
+
+// Redraw the results table in the current sort order
+function renderBatchTable() {
+    const done = entries.filter(entry => entry.status === 'done' || entry.status === 'failed').length;
+    const failed = entries.filter(entry => entry.status === 'failed').length;
+    batchStatus.textContent = `Scanned ${done} of ${entries.length}` + (failed > 0 ? ` • ${failed} failed` : '');
+
+    batchHeaders.forEach(header => {
+        header.classList.toggle('sorted', header.dataset.sort === sort.key);
+        header.classList.toggle('descending', header.dataset.sort === sort.key && sort.descending);
+    });
+
+    batchBody.innerHTML = '';
+    getSortedRows().forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = 'batch-row';
+
+        const name = document.createElement('td');
+        name.textContent = row.name || `${row.address.slice(0, 8)}...${row.address.slice(-6)}`;
+        name.title = row.address;
+
+        const symbol = document.createElement('td');
+        symbol.textContent = row.symbol || '-';
+
+        const score = document.createElement('td');
+        score.textContent = row.riskScore === null ? '-' : row.riskScore;
+
+        const level = document.createElement('td');
+        if (row.level) {
+            const badge = document.createElement('span');
+            badge.className = `risk-badge ${row.level}`;
+            badge.textContent = row.label;
+            level.appendChild(badge);
+        } else {
+            level.textContent = row.status === 'failed' ? 'Failed' : row.status === 'running' ? 'Scanning...' : 'Queued';
+        }
+
+        const topCheck = document.createElement('td');
+        if (row.error) {
+            topCheck.textContent = row.error;
+        } else if (row.topCheck) {
+            topCheck.textContent = `${row.topCheck.finding} (+${row.topCheck.points})`;
+            topCheck.title = row.topCheck.name;
+        } else {
+            topCheck.textContent = row.status === 'done' ? 'None' : '';
+        }
+
+        tr.append(name, symbol, score, level, topCheck);
+
+        const entry = entries.find(candidate => candidate.address === row.address);
+        if (entry.results) {
+            tr.classList.add('clickable');
+            tr.addEventListener('click', () => hooks.onSelect(entry.results));
+        }
+
+        batchBody.appendChild(tr);
+    });
+}
+
+// Summarized rows, sorted by the selected column; empty values always sort last
+function getSortedRows() {
+    const value = SORT_VALUES[sort.key];
+    return entries
+        .map(summarizeBatchEntry)
+        .sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            if (left === right) return 0;
+            if (left === null || left === '') return 1;
+            if (right === null || right === '') return -1;
+            const order = left < right ? -1 : 1;
+            return sort.descending ? -order : order;
+        });
+}
+
+// Download the table, in its current order, as CSV
+function exportBatchCsv() {
+    const blob = new Blob([batchToCsv(getSortedRows())], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `honeypot-batch-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,80 @@
+// Embed card: the bookmarklet link and the <honeypot-check> snippet, both pointing at
+// wherever this page is hosted
+import { CHAINS, DEFAULT_CHAIN } from '../src/index.js';
+
+// DOM Elements
+const bookmarkletLink = document.getElementById('bookmarklet-link');
+const embedSnippet = document.getElementById('embed-snippet');
+
+export function initEmbedding() {
+    const overlayUrl = new URL('embed.html', location.href).href;
+    const code = `(${openScanOverlay})(${JSON.stringify(overlayUrl)}, ${JSON.stringify(getChainHints())})`;
+    bookmarkletLink.href = `javascript:${encodeURIComponent(code)}`;
+    bookmarkletLink.addEventListener('click', event => event.preventDefault());
+
+    const elementUrl = new URL('ui/honeypot-check.js', location.href).href;
+    embedSnippet.textContent = `<script type="module" src="${elementUrl}"></script>\n` +
+        `<honeypot-check address="0x..." chain="${DEFAULT_CHAIN}" compact></honeypot-check>`;
+}
+
+// [text, chain id] pairs that give away a page's network: explorer hosts, and the
+// /base/ style path segments of DEX screeners. Longest first, so
+// optimistic.etherscan.io wins over etherscan.io.
+function getChainHints() {
+    return Object.values(CHAINS)
+        .flatMap(chain => [[new URL(chain.explorer.url).host, chain.id], [`/${chain.id}/`, chain.id]])
+        .sort((a, b) => b[0].length - a[0].length);
+}
+
+// Runs on the page the bookmarklet is clicked on, so it can only use what it is given:
+// takes the first address in the page URL and opens embed.html for it in an overlay
+function openScanOverlay(overlayUrl, chainHints) {
+    const match = location.href.match(/0x[a-fA-F0-9]{40}/);
+    if (!match) {
+        alert('Honeypot Check: no token address in this page\'s URL');
+        return;
+    }
+    const url = new URL(overlayUrl);
+    url.searchParams.set('address', match[0]);
+    const hint = chainHints.find(([text]) => location.href.toLowerCase().includes(text));
+    if (hint) {
+        url.searchParams.set('chain', hint[1]);
+    }
+
+    const previous = document.getElementById('honeypot-check-overlay');
+    if (previous) {
+        previous.remove();
+    }
+    const overlay = document.createElement('div');
+    overlay.id = 'honeypot-check-overlay';
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;display:flex;flex-direction:column;' +
+        'align-items:center;justify-content:center;gap:8px;background:rgba(0,0,0,0.6)';
+
+    // Pages whose security policy refuses frames still get the scan in a new tab
+    const bar = document.createElement('div');
+    bar.style.cssText = 'display:flex;gap:16px;font:14px sans-serif';
+    const newTab = document.createElement('a');
+    newTab.href = url.href;
+    newTab.target = '_blank';
+    newTab.rel = 'noopener noreferrer';
+    newTab.textContent = 'Open in new tab';
+    newTab.style.color = '#fff';
+    const close = document.createElement('a');
+    close.href = '#';
+    close.textContent = 'Close ✕';
+    close.style.color = '#fff';
+    bar.append(newTab, close);
+
+    const frame = document.createElement('iframe');
+    frame.src = url.href;
+    frame.style.cssText = 'width:min(760px,95vw);height:85vh;border:0;border-radius:16px;background:#12141a';
+
+    overlay.append(bar, frame);
+    overlay.addEventListener('click', event => {
+        if (event.target === overlay || event.target === close) {
+            event.preventDefault();
+            overlay.remove();
+        }
+    });
+    document.body.appendChild(overlay);
+}
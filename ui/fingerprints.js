@@ -0,0 +1,164 @@
+// Template database panel: the user's labeled bytecode templates, kept in localStorage
+// and matched by the fingerprint check alongside the bundled ones
+import { parseFingerprintDatabase, createFingerprintEntry } from '../src/index.js';
+
+const FINGERPRINT_STORAGE_KEY = 'honeypot-checker.fingerprints';
+
+// DOM Elements
+const fingerprintFamily = document.getElementById('fingerprint-family');
+const fingerprintVerdict = document.getElementById('fingerprint-verdict');
+const fingerprintLabelButton = document.getElementById('fingerprint-label');
+const fingerprintImportButton = document.getElementById('fingerprint-import');
+const fingerprintExportButton = document.getElementById('fingerprint-export');
+const fingerprintFileInput = document.getElementById('fingerprint-file');
+const fingerprintMessage = document.getElementById('fingerprint-message');
+const fingerprintResults = document.getElementById('fingerprint-results');
+const fingerprintBody = document.getElementById('fingerprint-body');
+
+let entries = [];
+let target = null;
+
+export function initFingerprints() {
+    entries = loadEntries();
+
+    fingerprintLabelButton.addEventListener('click', handleLabel);
+    fingerprintFamily.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleLabel();
+        }
+    });
+    fingerprintImportButton.addEventListener('click', () => fingerprintFileInput.click());
+    fingerprintFileInput.addEventListener('change', handleImport);
+    fingerprintExportButton.addEventListener('click', handleExport);
+
+    updateLabelButton();
+    renderFingerprints();
+}
+
+// Templates passed to every scan as the `fingerprints` option
+export function getUserFingerprints() {
+    return entries;
+}
+
+// The results card shows `results`; the label button adds that token's template
+export function setFingerprintTarget(results) {
+    target = results;
+    updateLabelButton();
+}
+
+function loadEntries() {
+    try {
+        return parseFingerprintDatabase(localStorage.getItem(FINGERPRINT_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Ignoring stored templates:', error.message);
+        localStorage.removeItem(FINGERPRINT_STORAGE_KEY);
+        return [];
+    }
+}
+
+// Entries with an id already in the database replace the stored ones
+function saveEntries(added) {
+    const ids = new Set(added.map(entry => entry.id));
+    entries = [...entries.filter(entry => !ids.has(entry.id)), ...added];
+    localStorage.setItem(FINGERPRINT_STORAGE_KEY, JSON.stringify(entries));
+    renderFingerprints();
+}
+
+function showMessage(text, isError = false) {
+    fingerprintMessage.textContent = text;
+    fingerprintMessage.classList.toggle('error', isError);
+}
+
+function updateLabelButton() {
+    const ready = Boolean(target && target.evidence.fingerprint);
+    fingerprintLabelButton.disabled = !ready;
+    fingerprintLabelButton.title = ready
+        ? `Label ${target.address} with this family and verdict`
+        : 'Scan a token to label its template';
+}
+
+function handleLabel() {
+    if (fingerprintLabelButton.disabled) {
+        return;
+    }
+    const family = fingerprintFamily.value.trim();
+    if (!family) {
+        showMessage('Enter a family name for the template', true);
+        return;
+    }
+
+    try {
+        const entry = createFingerprintEntry(target, { family, verdict: fingerprintVerdict.value });
+        saveEntries([entry]);
+        fingerprintFamily.value = '';
+        showMessage(`Labeled ${target.address} as ${entry.family} (${entry.verdict}); rescan tokens to match it`);
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
+
+async function handleImport(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    try {
+        const imported = parseFingerprintDatabase(await file.text());
+        saveEntries(imported);
+        showMessage(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}`);
+    } catch (error) {
+        showMessage(`Invalid template database: ${error.message}`, true);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+function handleExport() {
+    const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'honeypot-templates.json';
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function renderFingerprints() {
+    fingerprintResults.classList.toggle('hidden', entries.length === 0);
+    fingerprintExportButton.disabled = entries.length === 0;
+
+    fingerprintBody.innerHTML = '';
+    entries.forEach(entry => {
+        const tr = document.createElement('tr');
+
+        const family = document.createElement('td');
+        family.textContent = entry.family;
+        family.title = entry.description || entry.family;
+
+        const verdict = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `risk-badge ${entry.verdict === 'honeypot' ? 'danger' : 'safe'}`;
+        badge.textContent = entry.verdict === 'honeypot' ? 'Honeypot' : 'Known Good';
+        verdict.appendChild(badge);
+
+        const source = document.createElement('td');
+        source.textContent = entry.source || 'Imported';
+
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'rpc-remove';
+        remove.type = 'button';
+        remove.title = 'Remove template';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            entries = entries.filter(existing => existing.id !== entry.id);
+            localStorage.setItem(FINGERPRINT_STORAGE_KEY, JSON.stringify(entries));
+            renderFingerprints();
+        });
+        actions.appendChild(remove);
+
+        tr.append(family, verdict, source, actions);
+        fingerprintBody.appendChild(tr);
+    });
+}
@@ -0,0 +1,160 @@
+// Scan history panel: every scan is kept in IndexedDB and compared with the
+// previous scan of the same token
+import { CHAINS, historyKey, diffScans } from '../src/index.js';
+
+const DB_NAME = 'honeypot-checker';
+const DB_VERSION = 1;
+const STORE = 'scans';
+
+// DOM Elements
+const historyStatus = document.getElementById('history-status');
+const historyResults = document.getElementById('history-results');
+const historyBody = document.getElementById('history-body');
+const historyClearButton = document.getElementById('history-clear');
+
+let database = null;
+let hooks = null;
+
+// `onSelect(results, comparison)` opens a stored scan, with its changes since the
+// scan before it (or null for a token's first scan)
+export function initHistory(options) {
+    hooks = options;
+    historyClearButton.addEventListener('click', handleClearHistory);
+    renderHistory();
+}
+
+// Opened on first use; a browser without IndexedDB (or with storage blocked)
+// keeps working, it just has no history
+function openDatabase() {
+    if (!database) {
+        database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('token', 'token');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        database.catch(() => {
+            database = null;
+        });
+    }
+    return database;
+}
+
+// Run `operation(store)` in a transaction and resolve with the request's result
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = operation(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Every stored scan, oldest first
+function loadScans() {
+    return withStore('readonly', store => store.getAll());
+}
+
+// Store a finished scan and compare it with the token's previous scan.
+// Resolves to { previous, changes }, or null for a first scan or when storage fails.
+export async function recordScan(results) {
+    try {
+        const token = historyKey(results);
+        const earlier = await withStore('readonly', store => store.index('token').getAll(token));
+        await withStore('readwrite', store => store.add({ token, timestamp: results.timestamp, results }));
+        renderHistory();
+
+        const previous = earlier.length > 0 ? earlier[earlier.length - 1].results : null;
+        return previous ? { previous, changes: diffScans(previous, results) } : null;
+    } catch (error) {
+        console.warn('Scan history unavailable:', error.message || error);
+        return null;
+    }
+}
+
+async function handleClearHistory() {
+    if (!confirm('Delete every stored scan?')) {
+        return;
+    }
+    try {
+        await withStore('readwrite', store => store.clear());
+    } catch (error) {
+        console.warn('Could not clear scan history:', error.message || error);
+    }
+    renderHistory();
+}
+
+// Newest first, each with the changes since the scan of the same token before it
+function withComparisons(records) {
+    const lastByToken = new Map();
+    const rows = records.map(record => {
+        const previous = lastByToken.get(record.token) || null;
+        lastByToken.set(record.token, record.results);
+        return {
+            record,
+            comparison: previous ? { previous, changes: diffScans(previous, record.results) } : null
+        };
+    });
+    return rows.reverse();
+}
+
+// Redraw the history table
+export async function renderHistory() {
+    let records;
+    try {
+        records = await loadScans();
+    } catch (error) {
+        historyStatus.textContent = 'Scan history is unavailable in this browser.';
+        historyResults.classList.add('hidden');
+        return;
+    }
+
+    historyStatus.textContent = records.length === 0
+        ? 'Scanned tokens show up here. Scan a token again to see what changed.'
+        : `${records.length} stored scan${records.length === 1 ? '' : 's'}`;
+    historyResults.classList.toggle('hidden', records.length === 0);
+
+    historyBody.innerHTML = '';
+    withComparisons(records).forEach(({ record, comparison }) => {
+        const { results } = record;
+        const tr = document.createElement('tr');
+        tr.className = 'batch-row clickable';
+
+        const name = document.createElement('td');
+        name.textContent = results.tokenInfo.symbol || `${results.address.slice(0, 8)}...${results.address.slice(-6)}`;
+        name.title = results.address;
+
+        const network = document.createElement('td');
+        network.textContent = CHAINS[results.chain.id] ? CHAINS[results.chain.id].name : results.chain.name;
+
+        const level = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `risk-badge ${results.riskLevel.level}`;
+        badge.textContent = `${results.riskScore} • ${results.riskLevel.label}`;
+        level.appendChild(badge);
+
+        const changes = document.createElement('td');
+        if (!comparison) {
+            changes.textContent = 'First scan';
+        } else if (comparison.changes.length === 0) {
+            changes.textContent = 'No changes';
+        } else {
+            const worst = comparison.changes[0];
+            changes.textContent = `${comparison.changes.length} change${comparison.changes.length === 1 ? '' : 's'} • ${worst.title}`;
+            changes.className = `history-change ${worst.type}`;
+        }
+
+        const scanned = document.createElement('td');
+        scanned.textContent = new Date(results.timestamp).toLocaleString();
+        scanned.title = `Block ${results.blockNumber}`;
+
+        tr.append(name, network, level, changes, scanned);
+        tr.addEventListener('click', () => hooks.onSelect(results, comparison));
+        historyBody.appendChild(tr);
+    });
+}
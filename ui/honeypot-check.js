@@ -0,0 +1,192 @@
+// <honeypot-check address="0x..." chain="base" compact> - the checker as a custom element
+// for other pages. It scans its address in the analysis worker, renders the results card
+// in its shadow root and fires a `result` event with the verdict. `compact` keeps the
+// risk meter, the token info and the findings that aren't passes.
+// Pages without ethers get it from the CDN, so this is the only script an embedder loads.
+import '../src/install-ethers-cdn.js';
+import { DEFAULT_CHAIN, SCORING_PROFILES, DEFAULT_PROFILE, getChain, explorerAddressUrl } from '../src/index.js';
+import { runScan } from './analysis.js';
+import { getRpcUrls } from './rpc.js';
+import { RESULTS_TEMPLATE, renderResults } from './results.js';
+
+const STYLE_URL = new URL('../style.css', import.meta.url);
+
+const ELEMENT_TEMPLATE = `
+    <link rel="stylesheet" href="${STYLE_URL}">
+    <style>
+        :host {
+            display: block;
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            color: var(--text-primary);
+        }
+
+        :host([compact]) .scan-changes,
+        :host([compact]) .holders-section,
+        :host([compact]) .trading-section,
+        :host([compact]) .score-breakdown,
+        :host([compact]) .detail-item.success {
+            display: none !important;
+        }
+
+        .embed-error {
+            color: var(--danger-color);
+        }
+    </style>
+    <div class="results-card glass-card">
+        <div class="results-header">
+            <h2 id="embed-title">Honeypot Check</h2>
+            <a id="explorer-link" class="explorer-link hidden" target="_blank" rel="noopener noreferrer">
+                View on <span id="explorer-name"></span>
+            </a>
+        </div>
+        <div id="loading-state" class="loading-state hidden">
+            <div class="spinner"></div>
+            <p id="loading-message"></p>
+        </div>
+        <p id="embed-error" class="embed-error hidden"></p>
+        <div id="results-body" class="hidden">${RESULTS_TEMPLATE}</div>
+    </div>
+`;
+
+// The `result` event's detail: the verdict, the findings behind it and the full results
+function describeVerdict(results) {
+    return {
+        address: results.address,
+        chain: results.chain.id,
+        riskScore: results.riskScore,
+        riskLevel: results.riskLevel.level,
+        label: results.riskLevel.label,
+        findings: results.checks
+            .filter(check => check.type !== 'success')
+            .map(({ type, title, description }) => ({ type, title, description })),
+        results
+    };
+}
+
+export class HoneypotCheckElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['address', 'chain'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = ELEMENT_TEMPLATE;
+        this.results = null;
+        this.scan = null;
+        this.scheduled = false;
+    }
+
+    connectedCallback() {
+        this.scheduleCheck();
+    }
+
+    disconnectedCallback() {
+        this.cancel();
+    }
+
+    attributeChangedCallback() {
+        this.scheduleCheck();
+    }
+
+    // Attributes set together (or while the element is being parsed) start one scan
+    scheduleCheck() {
+        if (this.scheduled) {
+            return;
+        }
+        this.scheduled = true;
+        queueMicrotask(() => {
+            this.scheduled = false;
+            if (this.isConnected) {
+                this.check();
+            }
+        });
+    }
+
+    // Scan the current address, replacing any scan still running
+    async check() {
+        this.cancel();
+        const address = (this.getAttribute('address') || '').trim();
+        if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+            this.showError('Set the address attribute to a contract address (0x followed by 40 hexadecimal characters)');
+            return;
+        }
+        let chain;
+        try {
+            chain = getChain(this.getAttribute('chain') || DEFAULT_CHAIN);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const root = this.shadowRoot;
+        const explorerLink = root.getElementById('explorer-link');
+        explorerLink.href = explorerAddressUrl(chain, address);
+        root.getElementById('explorer-name').textContent = chain.explorer.name;
+        explorerLink.classList.remove('hidden');
+        this.showLoading(`Checking on ${chain.name}...`);
+
+        const scan = runScan(address, {
+            chain,
+            rpcUrls: getRpcUrls(chain),
+            profile: SCORING_PROFILES[DEFAULT_PROFILE],
+            onProgress: ({ message, completed, total }) => {
+                if (scan === this.scan) {
+                    root.getElementById('loading-message').textContent = `${message} (${completed}/${total})`;
+                }
+            }
+        });
+        this.scan = scan;
+
+        try {
+            const { results } = await scan.promise;
+            if (scan !== this.scan) {
+                return;
+            }
+            this.results = results;
+            root.getElementById('embed-title').textContent = results.tokenInfo.name
+                ? `${results.tokenInfo.name} (${results.tokenInfo.symbol})`
+                : 'Honeypot Check';
+            renderResults(root, results);
+            root.getElementById('loading-state').classList.add('hidden');
+            root.getElementById('results-body').classList.remove('hidden');
+            this.dispatchEvent(new CustomEvent('result', { detail: describeVerdict(results), bubbles: true, composed: true }));
+        } catch (error) {
+            if (scan === this.scan && error.name !== 'AbortError') {
+                this.showError(error.message || 'Failed to analyze contract');
+            }
+        } finally {
+            if (scan === this.scan) {
+                this.scan = null;
+            }
+        }
+    }
+
+    // Stop the scan in progress, if any
+    cancel() {
+        if (this.scan) {
+            this.scan.cancel();
+            this.scan = null;
+        }
+    }
+
+    showLoading(message) {
+        const root = this.shadowRoot;
+        root.getElementById('loading-message').textContent = message;
+        root.getElementById('loading-state').classList.remove('hidden');
+        root.getElementById('embed-error').classList.add('hidden');
+        root.getElementById('results-body').classList.add('hidden');
+    }
+
+    showError(message) {
+        const root = this.shadowRoot;
+        const embedError = root.getElementById('embed-error');
+        embedError.textContent = message;
+        embedError.classList.remove('hidden');
+        root.getElementById('loading-state').classList.add('hidden');
+        root.getElementById('results-body').classList.add('hidden');
+    }
+}
+
+if (!customElements.get('honeypot-check')) {
+    customElements.define('honeypot-check', HoneypotCheckElement);
+}
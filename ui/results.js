@@ -0,0 +1,371 @@
+// Results rendering shared by the page's results card and the <honeypot-check> element.
+// Everything is looked up in `root` - the document, or the element's shadow root - so the
+// same markup and the same code serve both.
+import { formatNumber, getChain, explorerAddressUrl } from '../src/index.js';
+
+// Sections of a results card, from the risk meter to the list of findings
+export const RESULTS_TEMPLATE = `
+    <div id="risk-meter" class="risk-meter">
+        <div class="risk-meter-header">
+            <h3>Risk Assessment</h3>
+            <span id="risk-badge" class="risk-badge"></span>
+        </div>
+        <div class="risk-meter-bar">
+            <div id="risk-fill" class="risk-fill"></div>
+        </div>
+        <div class="risk-score-text">
+            <span>Risk Score: <strong id="risk-score-value">0</strong>/100</span>
+        </div>
+    </div>
+
+    <div id="scan-changes" class="scan-changes hidden">
+        <h3>Changes Since Last Scan</h3>
+        <p id="scan-changes-summary" class="section-summary"></p>
+        <div id="scan-changes-list" class="details-list"></div>
+    </div>
+
+    <div id="token-info" class="token-info">
+        <h3>Token Information</h3>
+        <div class="info-grid">
+            <div class="info-item">
+                <span class="info-label">Name</span>
+                <span id="token-name" class="info-value">-</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Symbol</span>
+                <span id="token-symbol" class="info-value">-</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Decimals</span>
+                <span id="token-decimals" class="info-value">-</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Total Supply</span>
+                <span id="token-supply" class="info-value">-</span>
+            </div>
+        </div>
+    </div>
+
+    <div id="holders-section" class="holders-section hidden">
+        <h3>Top Holders</h3>
+        <p id="holders-summary" class="section-summary"></p>
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Address</th>
+                        <th>Balance</th>
+                        <th>Share</th>
+                    </tr>
+                </thead>
+                <tbody id="holders-body"></tbody>
+            </table>
+        </div>
+    </div>
+
+    <div id="trading-section" class="trading-section hidden">
+        <h3>Trading Activity</h3>
+        <p id="trading-summary" class="section-summary"></p>
+        <div class="info-grid">
+            <div class="info-item">
+                <span class="info-label">Buys</span>
+                <span id="trading-buys" class="info-value">-</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Sells</span>
+                <span id="trading-sells" class="info-value">-</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Unique Buyers</span>
+                <span id="trading-buyers" class="info-value">-</span>
+            </div>
+            <div class="info-item">
+                <span class="info-label">Unique Sellers</span>
+                <span id="trading-sellers" class="info-value">-</span>
+            </div>
+        </div>
+    </div>
+
+    <div id="score-breakdown" class="score-breakdown">
+        <h3>Score Breakdown</h3>
+        <p id="score-profile" class="section-summary"></p>
+        <div class="table-wrapper">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Check</th>
+                        <th>Category</th>
+                        <th>Raw</th>
+                        <th>Weight</th>
+                        <th>Points</th>
+                    </tr>
+                </thead>
+                <tbody id="score-breakdown-body"></tbody>
+            </table>
+        </div>
+    </div>
+
+    <div id="analysis-details" class="analysis-details">
+        <h3>Security Checks</h3>
+        <div id="details-list" class="details-list"></div>
+    </div>
+`;
+
+// Fill the sections of RESULTS_TEMPLATE under `root` with a scan's results.
+// `comparison` ({ previous, changes } from the scan history) is shown when given.
+export function renderResults(root, results, comparison = null) {
+    // Update risk meter
+    updateRiskMeter(root, results.riskLevel, results.riskScore);
+
+    // Update token info
+    displayTokenInfo(root, results.tokenInfo);
+
+    // Display holder distribution
+    const chain = getChain(results.chain.id);
+    displayHolders(root, results.evidence.holders, results.tokenInfo.decimals, chain);
+
+    // Display swap activity on the main pool
+    displayTrading(root, results.evidence['swap-history']);
+
+    // Display how each check contributed to the score
+    displayScoreBreakdown(root, results);
+
+    // Display what changed since the previous scan
+    displayScanChanges(root, comparison);
+
+    // Display analysis details
+    displayAnalysisDetails(results.checks, root.getElementById('details-list'));
+}
+
+// Update risk meter
+function updateRiskMeter(root, riskLevel, score) {
+    const riskBadge = root.getElementById('risk-badge');
+    const riskFill = root.getElementById('risk-fill');
+
+    riskBadge.textContent = riskLevel.label;
+    riskBadge.className = `risk-badge ${riskLevel.level}`;
+    root.getElementById('risk-score-value').textContent = Math.min(score, 100);
+
+    const percentage = Math.min(score, 100);
+    riskFill.style.width = `${percentage}%`;
+
+    // Set color based on level
+    if (riskLevel.level === 'safe') {
+        riskFill.style.background = 'linear-gradient(90deg, var(--success-color), hsl(140, 70%, 65%))';
+    } else if (riskLevel.level === 'warning') {
+        riskFill.style.background = 'linear-gradient(90deg, var(--warning-color), hsl(45, 95%, 70%))';
+    } else {
+        riskFill.style.background = 'linear-gradient(90deg, var(--danger-color), hsl(0, 85%, 70%))';
+    }
+}
+
+// Name, symbol, decimals and supply
+function displayTokenInfo(root, tokenInfo) {
+    const tokenName = root.getElementById('token-name');
+    const tokenSymbol = root.getElementById('token-symbol');
+    const tokenDecimals = root.getElementById('token-decimals');
+    const tokenSupply = root.getElementById('token-supply');
+
+    if (tokenInfo.name) {
+        tokenName.textContent = tokenInfo.name;
+        tokenSymbol.textContent = tokenInfo.symbol;
+        tokenDecimals.textContent = tokenInfo.decimals;
+
+        const supply = ethers.utils.formatUnits(
+            tokenInfo.totalSupply,
+            tokenInfo.decimals
+        );
+        tokenSupply.textContent = formatNumber(supply);
+    } else {
+        tokenName.textContent = 'Unknown';
+        tokenSymbol.textContent = 'Unknown';
+        tokenDecimals.textContent = '-';
+        tokenSupply.textContent = '-';
+    }
+}
+
+// Display the top holders table
+function displayHolders(root, holders, decimals, chain) {
+    const holdersSection = root.getElementById('holders-section');
+    const holdersBody = root.getElementById('holders-body');
+    holdersBody.innerHTML = '';
+
+    if (!holders || holders.top.length === 0) {
+        holdersSection.classList.add('hidden');
+        return;
+    }
+
+    root.getElementById('holders-summary').textContent = `Top 10 (excluding pools and burn addresses): ${holders.topTenShare.toFixed(2)}% • Owner: ${holders.ownerShare.toFixed(2)}%` +
+        (holders.complete ? '' : ` • Partial scan from block ${holders.scannedFrom}`);
+
+    holders.top.forEach((holder, index) => {
+        const row = document.createElement('tr');
+
+        const rank = document.createElement('td');
+        rank.textContent = index + 1;
+
+        const addressCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = explorerAddressUrl(chain, holder.address);
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = `${holder.address.slice(0, 8)}...${holder.address.slice(-6)}`;
+        addressCell.appendChild(link);
+        if (holder.label) {
+            const label = document.createElement('span');
+            label.className = 'holder-label';
+            label.textContent = holder.label;
+            addressCell.appendChild(label);
+        }
+
+        const balance = document.createElement('td');
+        balance.textContent = decimals === undefined
+            ? holder.balance
+            : formatNumber(ethers.utils.formatUnits(holder.balance, decimals));
+
+        const share = document.createElement('td');
+        share.textContent = `${holder.share.toFixed(2)}%`;
+
+        row.append(rank, addressCell, balance, share);
+        holdersBody.appendChild(row);
+    });
+
+    holdersSection.classList.remove('hidden');
+}
+
+// Display the swap history summary
+function displayTrading(root, swaps) {
+    const tradingSection = root.getElementById('trading-section');
+    if (!swaps) {
+        tradingSection.classList.add('hidden');
+        return;
+    }
+
+    root.getElementById('trading-summary').textContent = `${swaps.dex} • blocks ${swaps.fromBlock}-${swaps.toBlock}`;
+    root.getElementById('trading-buys').textContent = swaps.buys;
+    root.getElementById('trading-sells').textContent = swaps.privilegedSells > 0
+        ? `${swaps.sells} (${swaps.privilegedSells} privileged)`
+        : swaps.sells;
+    root.getElementById('trading-buyers').textContent = swaps.uniqueBuyers;
+    root.getElementById('trading-sellers').textContent = `${swaps.uniqueSellers} (${swaps.publicSellers} ordinary)`;
+    tradingSection.classList.remove('hidden');
+}
+
+// Display the per-check score contributions
+function displayScoreBreakdown(root, results) {
+    const scoreBreakdownBody = root.getElementById('score-breakdown-body');
+    scoreBreakdownBody.innerHTML = '';
+
+    const { label, thresholds } = results.profile;
+    root.getElementById('score-profile').textContent = `Profile: ${label} • Medium risk from ${thresholds.warning} • High risk from ${thresholds.danger}`;
+
+    const statusLabels = { skipped: 'skipped', failed: 'failed', timeout: 'timed out' };
+
+    results.contributions.forEach(contribution => {
+        const row = document.createElement('tr');
+
+        const name = document.createElement('td');
+        name.textContent = contribution.name;
+
+        const category = document.createElement('td');
+        category.textContent = contribution.category;
+
+        const raw = document.createElement('td');
+        raw.textContent = contribution.rawScore;
+
+        const weight = document.createElement('td');
+        weight.textContent = `×${contribution.weight}`;
+
+        const points = document.createElement('td');
+        if (contribution.status === 'ok') {
+            points.textContent = contribution.points > 0 ? `+${contribution.points}` : '0';
+        } else {
+            points.textContent = statusLabels[contribution.status];
+            points.title = contribution.error;
+            points.className = 'contribution-status';
+        }
+
+        row.append(name, category, raw, weight, points);
+        scoreBreakdownBody.appendChild(row);
+    });
+}
+
+// Changes since the token's previous scan
+function displayScanChanges(root, comparison) {
+    const scanChanges = root.getElementById('scan-changes');
+    if (!comparison) {
+        scanChanges.classList.add('hidden');
+        return;
+    }
+
+    const { previous, changes } = comparison;
+    const when = `${new Date(previous.timestamp).toLocaleString()} (block ${previous.blockNumber})`;
+    root.getElementById('scan-changes-summary').textContent = changes.length === 0
+        ? `Nothing changed since the scan of ${when}`
+        : `${changes.length} change${changes.length === 1 ? '' : 's'} since the scan of ${when}`;
+    displayAnalysisDetails(changes, root.getElementById('scan-changes-list'));
+    scanChanges.classList.remove('hidden');
+}
+
+// Display findings as a list of detail items
+function displayAnalysisDetails(checks, list) {
+    list.innerHTML = '';
+    checks.forEach(check => list.appendChild(createDetailItem(check)));
+}
+
+// One finding of the details list
+export function createDetailItem(check) {
+    const item = document.createElement('div');
+    item.className = `detail-item ${check.type}`;
+
+    // Only the icon is markup. Titles, descriptions and evidence carry text from the token
+    // (revert reasons, names) and from imported fingerprint databases, so they stay plain text.
+    item.innerHTML = getIconForType(check.type);
+
+    const content = document.createElement('div');
+    content.className = 'detail-content';
+    const title = document.createElement('div');
+    title.className = 'detail-title';
+    title.textContent = check.title;
+    const description = document.createElement('div');
+    description.className = 'detail-description';
+    description.textContent = check.description;
+    content.append(title, description);
+    item.appendChild(content);
+
+    // Extra evidence lines (opcode offsets, addresses, ...)
+    if (check.details && check.details.length > 0) {
+        check.details.forEach(line => {
+            const evidence = document.createElement('div');
+            evidence.className = 'detail-evidence';
+            evidence.textContent = line;
+            content.appendChild(evidence);
+        });
+    }
+
+    return item;
+}
+
+// Get icon SVG for detail type
+function getIconForType(type) {
+    const icons = {
+        success: `
+            <svg class="detail-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M9 12L11 14L15 10M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+        `,
+        warning: `
+            <svg class="detail-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 9V13M12 17H12.01M10.29 3.86L1.82 18C1.64537 18.3024 1.55296 18.6453 1.55199 18.9945C1.55101 19.3437 1.64151 19.6871 1.81445 19.9905C1.98738 20.2939 2.23675 20.5467 2.53773 20.7239C2.83871 20.9011 3.18082 20.9962 3.53 21H20.47C20.8192 20.9962 21.1613 20.9011 21.4623 20.7239C21.7633 20.5467 22.0126 20.2939 22.1856 19.9905C22.3585 19.6871 22.449 19.3437 22.448 18.9945C22.447 18.6453 22.3546 18.3024 22.18 18L13.71 3.86C13.5317 3.56611 13.2807 3.32312 12.9812 3.15448C12.6817 2.98585 12.3437 2.89725 12 2.89725C11.6563 2.89725 11.3183 2.98585 11.0188 3.15448C10.7193 3.32312 10.4683 3.56611 10.29 3.86Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+        `,
+        danger: `
+            <svg class="detail-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 8V12M12 16H12.01M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+        `
+    };
+
+    return icons[type] || icons.success;
+}
@@ -0,0 +1,174 @@
+// RPC endpoint panel: user-added endpoints and the health of every endpoint
+import { DEFAULT_CHAIN, probeEndpoint } from '../src/index.js';
+
+// localStorage key for the user's own RPC URLs, keyed by chain id
+const RPC_STORAGE_KEY = 'honeypot-checker.rpc-endpoints';
+
+// DOM Elements
+const rpcPanel = document.getElementById('rpc-panel');
+const rpcSummary = document.getElementById('rpc-summary');
+const rpcList = document.getElementById('rpc-endpoints');
+const rpcUrlInput = document.getElementById('rpc-url');
+const rpcAddButton = document.getElementById('rpc-add');
+const rpcMessage = document.getElementById('rpc-message');
+
+let customUrls = {};
+let hooks = null;
+
+// `getChain()` returns the selected chain, `getHealth()` the latest endpoint statistics
+// the analysis worker reported for it (or null), and `onChange(chain, urls)` is called
+// with the chain's new endpoint list after an add or remove
+export function initRpcPanel(options) {
+    hooks = options;
+    customUrls = loadCustomUrls();
+
+    rpcAddButton.addEventListener('click', handleAddEndpoint);
+    rpcUrlInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleAddEndpoint();
+        }
+    });
+    rpcPanel.addEventListener('toggle', renderRpcHealth);
+
+    renderRpcHealth();
+}
+
+function customUrlsFor(chain) {
+    return customUrls[chain.id] || [];
+}
+
+// User endpoints first, then the chain's public defaults
+export function getRpcUrls(chain) {
+    const custom = customUrlsFor(chain);
+    return [...custom, ...chain.rpcUrls.filter(url => !custom.includes(url))];
+}
+
+// Endpoints saved before there was a network selector are a plain array of Base URLs
+function loadCustomUrls() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RPC_STORAGE_KEY) || '{}');
+        const byChain = Array.isArray(stored) ? { [DEFAULT_CHAIN]: stored } : stored;
+        return Object.fromEntries(Object.entries(byChain)
+            .filter(([, urls]) => Array.isArray(urls))
+            .map(([chainId, urls]) => [chainId, urls.filter(url => typeof url === 'string')]));
+    } catch (error) {
+        console.warn('Ignoring stored RPC endpoints:', error.message);
+        localStorage.removeItem(RPC_STORAGE_KEY);
+        return {};
+    }
+}
+
+function saveCustomUrls(chain) {
+    localStorage.setItem(RPC_STORAGE_KEY, JSON.stringify(customUrls));
+    hooks.onChange(chain, getRpcUrls(chain));
+    renderRpcHealth();
+}
+
+function showRpcMessage(message, isError = false) {
+    rpcMessage.textContent = message;
+    rpcMessage.classList.toggle('error', isError);
+}
+
+// Check that the URL answers on the selected chain before adding it
+async function handleAddEndpoint() {
+    const chain = hooks.getChain();
+    const url = rpcUrlInput.value.trim();
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        showRpcMessage('Enter a full RPC URL, e.g. https://rpc.example.com/your-key', true);
+        return;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        showRpcMessage('Only http(s) JSON-RPC endpoints are supported', true);
+        return;
+    }
+    if (getRpcUrls(chain).includes(url)) {
+        showRpcMessage('That endpoint is already in the list', true);
+        return;
+    }
+
+    rpcAddButton.disabled = true;
+    showRpcMessage('Testing endpoint...');
+    try {
+        const { chainId, latency } = await probeEndpoint(url);
+        if (chainId !== chain.chainId) {
+            showRpcMessage(`That endpoint serves chain ${chainId}, not ${chain.name} (${chain.chainId})`, true);
+            return;
+        }
+
+        customUrls[chain.id] = [...customUrlsFor(chain), url];
+        saveCustomUrls(chain);
+        rpcUrlInput.value = '';
+        showRpcMessage(`Added ${parsed.host} (${latency} ms)`);
+    } catch (error) {
+        showRpcMessage(`Endpoint did not answer: ${error.message.split(' (')[0]}`, true);
+    } finally {
+        rpcAddButton.disabled = false;
+    }
+}
+
+function removeEndpoint(chain, url) {
+    customUrls[chain.id] = customUrlsFor(chain).filter(custom => custom !== url);
+    saveCustomUrls(chain);
+    showRpcMessage(`Removed ${new URL(url).host}`);
+}
+
+// Describe one endpoint's health in a few words
+export function describeEndpointHealth(health) {
+    if (health.status === 'untested') {
+        return 'not used yet';
+    }
+    const errors = `${Math.round(health.errorRate * 100)}% errors`;
+    const limits = health.rateLimits > 0 ? ` • ${health.rateLimits} rate limited` : '';
+    return `${health.latency} ms • ${errors}${limits}`;
+}
+
+// Redraw the selected chain's endpoint list with the worker's latest statistics.
+// Endpoints added since then show as untested, removed ones are left out.
+export function renderRpcHealth() {
+    const chain = hooks.getChain();
+    const snapshot = hooks.getHealth() || [];
+    const healthList = getRpcUrls(chain).map(url =>
+        snapshot.find(health => health.url === url) || { url, status: 'untested', active: false });
+
+    const active = healthList.find(health => health.active);
+    rpcSummary.textContent = active
+        ? `• ${new URL(active.url).host} (${active.status})`
+        : `• ${healthList.length} configured`;
+
+    rpcList.innerHTML = '';
+    healthList.forEach(health => {
+        const item = document.createElement('li');
+        item.className = `rpc-endpoint${health.active ? ' active' : ''}`;
+
+        const status = document.createElement('span');
+        status.className = `rpc-status ${health.status}`;
+        status.title = health.lastError ? `${health.status} - last error: ${health.lastError}` : health.status;
+
+        const url = document.createElement('span');
+        url.className = 'rpc-endpoint-url';
+        url.textContent = health.url;
+        url.title = health.url;
+
+        const stats = document.createElement('span');
+        stats.className = 'rpc-endpoint-stats';
+        stats.textContent = describeEndpointHealth(health);
+
+        item.append(status, url, stats);
+
+        if (customUrlsFor(chain).includes(health.url)) {
+            const remove = document.createElement('button');
+            remove.className = 'rpc-remove';
+            remove.type = 'button';
+            remove.title = 'Remove endpoint';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => removeEndpoint(chain, health.url));
+            item.appendChild(remove);
+        }
+
+        rpcList.appendChild(item);
+    });
+}
@@ -0,0 +1,66 @@
+// Sharing: ?address=&chain= permalinks and report downloads for the results card
+import { CHAINS, formatReportMarkdown, formatReportHtml } from '../src/index.js';
+
+// DOM Elements
+const shareLinkButton = document.getElementById('share-link');
+const exportJsonButton = document.getElementById('export-json');
+const exportMarkdownButton = document.getElementById('export-markdown');
+const exportHtmlButton = document.getElementById('export-html');
+const shareMessage = document.getElementById('share-message');
+
+let current = null;
+
+export function initShare() {
+    shareLinkButton.addEventListener('click', copyPermalink);
+    exportJsonButton.addEventListener('click', () => download('json', 'application/json', JSON.stringify(current, null, 2)));
+    exportMarkdownButton.addEventListener('click', () => download('md', 'text/markdown', formatReportMarkdown(current, { permalink: permalinkFor(current) })));
+    exportHtmlButton.addEventListener('click', () => download('html', 'text/html', formatReportHtml(current, { permalink: permalinkFor(current) })));
+}
+
+// The results card shows `results`: exports use them and the address bar links to them
+export function setShareTarget(results) {
+    current = results;
+    shareMessage.textContent = '';
+    history.replaceState(null, '', permalinkFor(results));
+}
+
+// Link that re-scans the token on the same chain when opened
+export function permalinkFor(results) {
+    const url = new URL(location.href);
+    url.search = new URLSearchParams({ address: results.address, chain: results.chain.id }).toString();
+    url.hash = '';
+    return url.toString();
+}
+
+// { address, chain } from the page URL, or null. An unknown chain is dropped and
+// left to auto-detection.
+export function readPermalink() {
+    const params = new URLSearchParams(location.search);
+    const address = params.get('address');
+    if (!address) {
+        return null;
+    }
+    const chain = params.get('chain');
+    return { address: address.trim(), chain: Object.hasOwn(CHAINS, chain) ? chain : null };
+}
+
+async function copyPermalink() {
+    const link = permalinkFor(current);
+    try {
+        await navigator.clipboard.writeText(link);
+        shareMessage.textContent = 'Link copied';
+    } catch {
+        // Clipboard access denied (or not a secure context): show it for manual copying
+        shareMessage.textContent = link;
+    }
+}
+
+function download(extension, type, content) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `honeypot-${current.chain.id}-${current.address}-${current.blockNumber}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,180 @@
+// Watchlist panel: pinned tokens are re-checked as their contract or pools emit
+// risky events, with in-page and browser notifications when the risk changes
+import { CHAINS, createWatcher, historyKey, diffScans } from '../src/index.js';
+import { runRecheck } from './analysis.js';
+import { getRpcUrls } from './rpc.js';
+
+// DOM Elements
+const watchToggle = document.getElementById('watch-toggle');
+const watchlistCard = document.getElementById('watchlist-card');
+const watchlistBody = document.getElementById('watchlist-body');
+const watchAlerts = document.getElementById('watch-alerts');
+
+// Alerts kept on the page, newest first
+const MAX_ALERTS = 20;
+
+let watcher = null;
+let hooks = null;
+let target = null;
+let targetOptions = {};
+
+// `getProvider(chain)` returns the provider for a chain, `getProfile()` the scoring
+// profile new entries are scored with, `getFingerprints()` the user's labeled templates,
+// `onSelect(results)` opens a token's results and `onScanned(results)` is called with
+// every re-check that changed something. Polling for events stays on the page with
+// `getProvider`; the re-checks they trigger run in the analysis worker.
+export function initWatchlist(options) {
+    hooks = options;
+    watcher = createWatcher({
+        getProvider: hooks.getProvider,
+        getFingerprints: hooks.getFingerprints,
+        recheck: async (previous, checkIds, { chain, profile, fingerprints, abi = null, source = null }) => {
+            const { results } = await runRecheck(previous, checkIds, {
+                chain,
+                rpcUrls: getRpcUrls(chain),
+                profile,
+                fingerprints,
+                abi,
+                source
+            }).promise;
+            return results;
+        },
+        onEvent: renderWatchlist,
+        onUpdate: (entry, previous) => {
+            // Busy pools sync every block; only re-checks with a visible change go to history
+            if (diffScans(previous, entry.results).length > 0) {
+                hooks.onScanned(entry.results);
+            }
+            renderWatchlist();
+        },
+        onAlert: handleAlert,
+        onError: (entry, error) => console.warn(`Watchlist poll failed for ${entry.results.address}:`, error.message)
+    });
+
+    watchToggle.addEventListener('click', toggleWatch);
+}
+
+// The results card shows `results`; the watch button pins or unpins that token.
+// `options` (abi, source) are what the token was scanned with, reused for re-checks.
+export function setWatchTarget(results, options = {}) {
+    target = results;
+    targetOptions = options;
+    updateWatchToggle();
+}
+
+function updateWatchToggle() {
+    const watching = Boolean(target) && watcher.has(historyKey(target));
+    watchToggle.textContent = watching ? 'Watching' : 'Watch';
+    watchToggle.classList.toggle('watching', watching);
+    watchToggle.title = watching ? 'Stop watching this token' : 'Re-check this token when its contract or pools change';
+}
+
+function toggleWatch() {
+    if (!target) {
+        return;
+    }
+
+    const key = historyKey(target);
+    if (watcher.has(key)) {
+        watcher.unwatch(key);
+    } else {
+        watcher.watch(target, hooks.getProfile(), targetOptions);
+        // Asked on a click, which browsers require for the permission prompt
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+    updateWatchToggle();
+    renderWatchlist();
+}
+
+function describeToken(results) {
+    return results.tokenInfo.symbol || `${results.address.slice(0, 8)}...${results.address.slice(-6)}`;
+}
+
+// Show the alert on the page and, when allowed, as a browser notification
+function handleAlert(entry, { changes, events }) {
+    const token = describeToken(entry.results);
+    const cause = [...new Set(events.map(event => event.label))].join(', ');
+
+    changes.forEach(change => {
+        const item = document.createElement('div');
+        item.className = `detail-item ${change.type} clickable`;
+
+        const content = document.createElement('div');
+        content.className = 'detail-content';
+        const title = document.createElement('div');
+        title.className = 'detail-title';
+        title.textContent = `${token} (${entry.results.chain.name}): ${change.title}`;
+        const description = document.createElement('div');
+        description.className = 'detail-description';
+        description.textContent = `${change.description} • after: ${cause} • ${new Date(entry.results.timestamp).toLocaleTimeString()}`;
+        content.append(title, description);
+
+        item.appendChild(content);
+        item.addEventListener('click', () => hooks.onSelect(entry.results));
+        watchAlerts.prepend(item);
+    });
+    while (watchAlerts.children.length > MAX_ALERTS) {
+        watchAlerts.lastChild.remove();
+    }
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        const notification = new Notification(`${token}: ${changes[0].title}`, {
+            body: `${changes[0].description}\nAfter: ${cause}`,
+            tag: entry.key
+        });
+        notification.onclick = () => {
+            window.focus();
+            hooks.onSelect(entry.results);
+        };
+    }
+}
+
+// Redraw the watched tokens
+function renderWatchlist() {
+    const entries = watcher.list();
+    watchlistCard.classList.toggle('hidden', entries.length === 0 && watchAlerts.children.length === 0);
+
+    watchlistBody.innerHTML = '';
+    entries.forEach(entry => {
+        const { results } = entry;
+        const tr = document.createElement('tr');
+        tr.className = 'batch-row clickable';
+
+        const name = document.createElement('td');
+        name.textContent = describeToken(results);
+        name.title = results.address;
+
+        const network = document.createElement('td');
+        network.textContent = CHAINS[results.chain.id] ? CHAINS[results.chain.id].name : results.chain.name;
+
+        const level = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `risk-badge ${results.riskLevel.level}`;
+        badge.textContent = `${results.riskScore} • ${results.riskLevel.label}`;
+        level.appendChild(badge);
+
+        const activity = document.createElement('td');
+        const [latest] = entry.events;
+        activity.textContent = latest ? `${latest.label} (block ${latest.blockNumber})` : `Quiet since block ${results.blockNumber}`;
+
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'rpc-remove';
+        remove.type = 'button';
+        remove.title = 'Stop watching';
+        remove.textContent = '×';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            watcher.unwatch(entry.key);
+            updateWatchToggle();
+            renderWatchlist();
+        });
+        actions.appendChild(remove);
+
+        tr.append(name, network, level, activity, actions);
+        tr.addEventListener('click', () => hooks.onSelect(results));
+        watchlistBody.appendChild(tr);
+    });
+}
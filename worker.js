@@ -0,0 +1,115 @@
+// Analysis worker: scans run here, off the page's main thread, so disassembly and log
+// scanning never freeze the page. Loaded as a module worker by ui/analysis.js.
+//
+// Messages in:
+//   { type: 'scan', id, address, chain, rpcUrls, profile, fingerprints, abi, source }
+//   { type: 'batch', id, addresses, chain, rpcUrls, profile, fingerprints, concurrency }
+//   { type: 'recheck', id, previous, checkIds, chain, rpcUrls, profile, fingerprints, abi, source }
+//   { type: 'cancel', id }
+// Messages out, tagged with the job's id:
+//   { type: 'progress', id, event }  - a check started or finished (analyzeToken's onProgress)
+//   { type: 'entry', id, entry }     - a batch entry started or finished
+//   { type: 'done', id, results, rpc } - results (entries for a batch) and the endpoint that served them
+//   { type: 'error', id, message }
+//   { type: 'cancelled', id }
+// and after every job, for the page's RPC panel:
+//   { type: 'health', chain, endpoints } - getEndpointHealth() of the chain's endpoints
+import './src/install-ethers-cdn.js';
+import { analyzeToken, recheckToken, scanBatch, FailoverProvider, getChain } from './src/index.js';
+
+// One provider per chain, kept between jobs so endpoint statistics carry over
+const providers = new Map();
+const jobs = new Map();
+
+function getProvider(chain, rpcUrls) {
+    if (!providers.has(chain.id)) {
+        providers.set(chain.id, new FailoverProvider(rpcUrls, chain.chainId));
+    } else {
+        providers.get(chain.id).setEndpoints(rpcUrls);
+    }
+    return providers.get(chain.id);
+}
+
+function runScan(message, provider, chain, signal) {
+    return analyzeToken(message.address, {
+        provider,
+        chain,
+        profile: message.profile,
+        fingerprints: message.fingerprints,
+        abi: message.abi,
+        source: message.source,
+        signal,
+        onProgress: event => postMessage({ type: 'progress', id: message.id, event })
+    });
+}
+
+function runBatch(message, provider, chain, signal) {
+    return scanBatch(message.addresses, {
+        provider,
+        chain,
+        profile: message.profile,
+        fingerprints: message.fingerprints,
+        concurrency: message.concurrency,
+        signal,
+        onUpdate: entry => postMessage({ type: 'entry', id: message.id, entry })
+    });
+}
+
+function runRecheck(message, provider, chain, signal) {
+    return recheckToken(message.previous, message.checkIds, {
+        provider,
+        chain,
+        profile: message.profile,
+        fingerprints: message.fingerprints,
+        abi: message.abi,
+        source: message.source,
+        signal,
+        onProgress: event => postMessage({ type: 'progress', id: message.id, event })
+    });
+}
+
+const RUNNERS = { scan: runScan, batch: runBatch, recheck: runRecheck };
+
+async function runJob(message) {
+    const controller = new AbortController();
+    jobs.set(message.id, controller);
+    let chain = null;
+    let provider = null;
+
+    try {
+        chain = getChain(message.chain);
+        // The job's own view of the chain's endpoints: a cancelled job stops sending
+        // requests, and its outages never abort another job
+        provider = getProvider(chain, message.rpcUrls).fork(controller.signal);
+        const results = await RUNNERS[message.type](message, provider, chain, controller.signal);
+        postMessage({
+            type: 'done',
+            id: message.id,
+            results,
+            rpc: { endpoint: provider.getActiveEndpoint(), failovers: provider.failovers }
+        });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            postMessage({ type: 'cancelled', id: message.id });
+        } else {
+            console.error('Error analyzing contract:', error);
+            postMessage({ type: 'error', id: message.id, message: error.message || 'Failed to analyze contract' });
+        }
+    } finally {
+        jobs.delete(message.id);
+        if (provider) {
+            postMessage({ type: 'health', chain: chain.id, endpoints: provider.getEndpointHealth() });
+        }
+    }
+}
+
+addEventListener('message', ({ data: message }) => {
+    if (message.type === 'cancel') {
+        const controller = jobs.get(message.id);
+        if (controller) {
+            controller.abort();
+        }
+        return;
+    }
+    runJob(message);
+});